@@ -0,0 +1,76 @@
+-- =========================================================
+-- BASE SCHEMA
+-- =========================================================
+-- Tables the server relied on before migrations were versioned.
+-- players.id is the Supabase Auth user id (auth.users.id); no
+-- foreign key so the schema also runs on plain Postgres.
+-- Later migrations add slots, multi-currency, ledger, etc.
+-- Keys are named after the unique indexes 007 / 009 add to
+-- tables created before this file declared them, so both kinds
+-- of database end up with the same index names.
+
+CREATE TABLE IF NOT EXISTS players (
+  id             uuid PRIMARY KEY,
+  username       text NOT NULL UNIQUE,
+  mmr            integer NOT NULL DEFAULT 1200,
+  created_at     timestamptz NOT NULL DEFAULT NOW(),
+  last_login_at  timestamptz
+);
+
+CREATE TABLE IF NOT EXISTS player_stats (
+  player_id       uuid PRIMARY KEY REFERENCES players(id) ON DELETE CASCADE,
+  matches_played  integer NOT NULL DEFAULT 0 CHECK (matches_played >= 0),
+  wins            integer NOT NULL DEFAULT 0 CHECK (wins >= 0),
+  kills           integer NOT NULL DEFAULT 0 CHECK (kills >= 0),
+  deaths          integer NOT NULL DEFAULT 0 CHECK (deaths >= 0)
+);
+
+CREATE TABLE IF NOT EXISTS currencies (
+  id   serial PRIMARY KEY,
+  key  text NOT NULL,
+  CONSTRAINT currencies_key_idx UNIQUE (key)
+);
+
+CREATE TABLE IF NOT EXISTS player_wallets (
+  player_id    uuid NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  currency_id  integer NOT NULL REFERENCES currencies(id),
+  balance      bigint NOT NULL DEFAULT 0 CHECK (balance >= 0),
+  CONSTRAINT player_wallets_player_currency_idx PRIMARY KEY (player_id, currency_id)
+);
+
+CREATE TABLE IF NOT EXISTS player_npcs (
+  player_id   uuid PRIMARY KEY REFERENCES players(id) ON DELETE CASCADE,
+  strength    integer NOT NULL DEFAULT 1 CHECK (strength >= 1),
+  perception  integer NOT NULL DEFAULT 1 CHECK (perception >= 1),
+  agility     integer NOT NULL DEFAULT 1 CHECK (agility >= 1)
+);
+
+-- Catalog definitions. base_props holds name, icon_key, price
+-- (price_cash or price), combat stats and upgrade_costs.
+CREATE TABLE IF NOT EXISTS item_defs (
+  id          serial PRIMARY KEY,
+  key         text NOT NULL UNIQUE,
+  category    text NOT NULL,
+  base_props  jsonb NOT NULL DEFAULT '{}'::jsonb,
+  is_active   boolean NOT NULL DEFAULT true
+);
+
+-- Owned item instances
+CREATE TABLE IF NOT EXISTS player_items (
+  id              uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  player_id       uuid NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  item_def_id     integer NOT NULL REFERENCES item_defs(id),
+  level           integer NOT NULL DEFAULT 1 CHECK (level >= 1),
+  instance_props  jsonb,
+  created_at      timestamptz NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS player_items_player_idx
+  ON player_items (player_id);
+
+CREATE TABLE IF NOT EXISTS player_equipment (
+  player_id       uuid NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  slot            text NOT NULL,
+  player_item_id  uuid REFERENCES player_items(id),
+  CONSTRAINT player_equipment_player_slot_idx PRIMARY KEY (player_id, slot)
+);
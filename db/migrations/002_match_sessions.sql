@@ -0,0 +1,15 @@
+-- =========================================================
+-- MATCH SESSIONS
+-- =========================================================
+-- Opened by GET /match-config, settled once by POST /match-result.
+
+CREATE TABLE IF NOT EXISTS match_sessions (
+  id          uuid PRIMARY KEY,
+  player_id   uuid NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  started_at  timestamptz NOT NULL DEFAULT NOW(),
+  expires_at  timestamptz NOT NULL,
+  settled_at  timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS match_sessions_player_started_idx
+  ON match_sessions (player_id, started_at DESC);
@@ -0,0 +1,8 @@
+-- =========================================================
+-- MMR RATING
+-- =========================================================
+-- Field rating of the NPC lineup, stored when /match-config
+-- opens the session and read back by /match-result.
+
+ALTER TABLE match_sessions
+  ADD COLUMN IF NOT EXISTS field_rating integer;
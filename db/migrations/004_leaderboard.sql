@@ -0,0 +1,34 @@
+-- =========================================================
+-- LEADERBOARD
+-- =========================================================
+-- Weekly stats are kept per (player, UTC week) so the weekly
+-- board resets every Monday without touching player_stats.
+
+CREATE TABLE IF NOT EXISTS player_weekly_stats (
+  player_id       uuid NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  week_start      date NOT NULL,
+  matches_played  integer NOT NULL DEFAULT 0,
+  wins            integer NOT NULL DEFAULT 0,
+  kills           integer NOT NULL DEFAULT 0,
+  mmr_gain        integer NOT NULL DEFAULT 0,
+  PRIMARY KEY (player_id, week_start)
+);
+
+-- Keyset indexes: (value DESC, player id ASC) per sortable column
+CREATE INDEX IF NOT EXISTS players_mmr_rank_idx
+  ON players (mmr DESC, id);
+
+CREATE INDEX IF NOT EXISTS player_stats_wins_rank_idx
+  ON player_stats (wins DESC, player_id);
+
+CREATE INDEX IF NOT EXISTS player_stats_kills_rank_idx
+  ON player_stats (kills DESC, player_id);
+
+CREATE INDEX IF NOT EXISTS player_weekly_stats_mmr_rank_idx
+  ON player_weekly_stats (week_start, mmr_gain DESC, player_id);
+
+CREATE INDEX IF NOT EXISTS player_weekly_stats_wins_rank_idx
+  ON player_weekly_stats (week_start, wins DESC, player_id);
+
+CREATE INDEX IF NOT EXISTS player_weekly_stats_kills_rank_idx
+  ON player_weekly_stats (week_start, kills DESC, player_id);
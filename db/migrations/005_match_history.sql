@@ -0,0 +1,25 @@
+-- =========================================================
+-- MATCH HISTORY
+-- =========================================================
+-- One row per settled match, written by /match-result.
+-- id is the match session id. The weapon is a snapshot:
+-- weapon_player_item_id is not a foreign key so history
+-- survives the item being removed later.
+
+CREATE TABLE IF NOT EXISTS player_matches (
+  id                     uuid PRIMARY KEY REFERENCES match_sessions(id) ON DELETE CASCADE,
+  player_id              uuid NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  kills                  integer NOT NULL,
+  placement              integer NOT NULL,
+  win                    boolean NOT NULL,
+  reward_cash            bigint NOT NULL,
+  mmr_before             integer NOT NULL,
+  mmr_after              integer NOT NULL,
+  mmr_delta              integer NOT NULL,
+  weapon_player_item_id  uuid,
+  weapon_item_def_key    text,
+  settled_at             timestamptz NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS player_matches_player_settled_idx
+  ON player_matches (player_id, settled_at DESC, id DESC);
@@ -0,0 +1,11 @@
+-- =========================================================
+-- NPC LINEUPS
+-- =========================================================
+-- /match-config generates the lineup from a random seed.
+-- seed + player_mmr (+ the weapon catalog at that time)
+-- reproduce it; npcs keeps the exact lineup that was served.
+
+ALTER TABLE match_sessions
+  ADD COLUMN IF NOT EXISTS seed bigint,
+  ADD COLUMN IF NOT EXISTS player_mmr integer,
+  ADD COLUMN IF NOT EXISTS npcs jsonb;
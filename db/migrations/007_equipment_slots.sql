@@ -0,0 +1,38 @@
+-- =========================================================
+-- EQUIPMENT SLOTS
+-- =========================================================
+-- Slots: weapon_primary, weapon_secondary, armor, gadget
+-- (keep in sync with EQUIPMENT_SLOTS in server.js)
+
+-- Which slots each item definition fits
+ALTER TABLE item_defs
+  ADD COLUMN IF NOT EXISTS equip_slots text[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE item_defs DROP CONSTRAINT IF EXISTS item_defs_equip_slots_check;
+ALTER TABLE item_defs
+  ADD CONSTRAINT item_defs_equip_slots_check
+  CHECK (equip_slots <@ ARRAY['weapon_primary', 'weapon_secondary', 'armor', 'gadget']::text[]);
+
+-- Default slots from category for existing definitions
+UPDATE item_defs SET equip_slots = ARRAY['weapon_primary', 'weapon_secondary']
+  WHERE category = 'weapon' AND equip_slots = '{}';
+UPDATE item_defs SET equip_slots = ARRAY['armor']
+  WHERE category = 'armor' AND equip_slots = '{}';
+UPDATE item_defs SET equip_slots = ARRAY['gadget']
+  WHERE category = 'gadget' AND equip_slots = '{}';
+
+-- One row per (player, slot)
+CREATE UNIQUE INDEX IF NOT EXISTS player_equipment_player_slot_idx
+  ON player_equipment (player_id, slot);
+
+ALTER TABLE player_equipment DROP CONSTRAINT IF EXISTS player_equipment_slot_check;
+ALTER TABLE player_equipment
+  ADD CONSTRAINT player_equipment_slot_check
+  CHECK (slot IN ('weapon_primary', 'weapon_secondary', 'armor', 'gadget'));
+
+-- Backfill: give existing accounts every slot
+INSERT INTO player_equipment (player_id, slot, player_item_id)
+SELECT p.id, s.slot, NULL
+FROM players p
+CROSS JOIN unnest(ARRAY['weapon_primary', 'weapon_secondary', 'armor', 'gadget']) AS s(slot)
+ON CONFLICT (player_id, slot) DO NOTHING;
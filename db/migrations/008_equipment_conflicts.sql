@@ -0,0 +1,27 @@
+-- =========================================================
+-- EQUIPMENT CONFLICTS
+-- =========================================================
+-- An item instance may occupy only one slot at a time.
+
+-- Clean up duplicates left by older clients: keep the first
+-- slot in EQUIPMENT_SLOTS order, empty the others.
+UPDATE player_equipment pe
+SET player_item_id = NULL
+FROM (
+  SELECT
+    player_id,
+    slot,
+    ROW_NUMBER() OVER (
+      PARTITION BY player_item_id
+      ORDER BY array_position(ARRAY['weapon_primary', 'weapon_secondary', 'armor', 'gadget'], slot)
+    ) AS rn
+  FROM player_equipment
+  WHERE player_item_id IS NOT NULL
+) dup
+WHERE dup.player_id = pe.player_id
+  AND dup.slot = pe.slot
+  AND dup.rn > 1;
+
+CREATE UNIQUE INDEX IF NOT EXISTS player_equipment_item_once_idx
+  ON player_equipment (player_item_id)
+  WHERE player_item_id IS NOT NULL;
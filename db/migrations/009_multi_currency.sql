@@ -0,0 +1,28 @@
+-- =========================================================
+-- MULTI-CURRENCY WALLETS
+-- =========================================================
+-- Every player gets a wallet per active currency.
+-- Store prices live in item_defs.base_props.price, e.g.
+--   { "price": { "gems": 50 } }
+-- (base_props.price_cash is still read as { "cash": n }).
+
+ALTER TABLE currencies
+  ADD COLUMN IF NOT EXISTS is_active boolean NOT NULL DEFAULT true;
+
+CREATE UNIQUE INDEX IF NOT EXISTS currencies_key_idx
+  ON currencies (key);
+
+CREATE UNIQUE INDEX IF NOT EXISTS player_wallets_player_currency_idx
+  ON player_wallets (player_id, currency_id);
+
+-- Premium currency
+INSERT INTO currencies (key) VALUES ('gems')
+ON CONFLICT (key) DO NOTHING;
+
+-- Backfill: wallets for every active currency
+INSERT INTO player_wallets (player_id, currency_id, balance)
+SELECT p.id, c.id, 0
+FROM players p
+CROSS JOIN currencies c
+WHERE c.is_active = true
+ON CONFLICT (player_id, currency_id) DO NOTHING;
@@ -0,0 +1,55 @@
+-- =========================================================
+-- WALLET LEDGER
+-- =========================================================
+-- Append-only record of every balance change.
+-- Invariant per wallet:
+--   balance = SUM(amount)
+--   balance = balance_after of the latest entry
+-- Checked by scripts/check_ledger.js.
+-- A deleted player takes their ledger with them (ON DELETE
+-- CASCADE); the append-only trigger lets only those deletes through.
+
+CREATE TABLE IF NOT EXISTS wallet_transactions (
+  id             bigserial PRIMARY KEY,
+  player_id      uuid NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  currency_id    integer NOT NULL REFERENCES currencies(id),
+  amount         bigint NOT NULL,
+  balance_after  bigint NOT NULL,
+  reason         text NOT NULL,
+  reference_id   text,
+  created_at     timestamptz NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS wallet_transactions_player_idx
+  ON wallet_transactions (player_id, id DESC);
+
+CREATE INDEX IF NOT EXISTS wallet_transactions_wallet_idx
+  ON wallet_transactions (player_id, currency_id, id DESC);
+
+-- Append-only: reject UPDATE / DELETE, except the cascade from a
+-- deleted player (the cascade runs after the player row is gone)
+CREATE OR REPLACE FUNCTION wallet_transactions_append_only()
+RETURNS trigger AS $$
+BEGIN
+  IF TG_OP = 'DELETE' AND NOT EXISTS (SELECT 1 FROM players WHERE id = OLD.player_id) THEN
+    RETURN OLD;
+  END IF;
+
+  RAISE EXCEPTION 'wallet_transactions is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS wallet_transactions_append_only ON wallet_transactions;
+CREATE TRIGGER wallet_transactions_append_only
+  BEFORE UPDATE OR DELETE ON wallet_transactions
+  FOR EACH ROW EXECUTE FUNCTION wallet_transactions_append_only();
+
+-- Opening balance for wallets that existed before the ledger
+INSERT INTO wallet_transactions (player_id, currency_id, amount, balance_after, reason)
+SELECT pw.player_id, pw.currency_id, pw.balance, pw.balance, 'opening_balance'
+FROM player_wallets pw
+WHERE pw.balance <> 0
+  AND NOT EXISTS (
+    SELECT 1 FROM wallet_transactions wt
+    WHERE wt.player_id = pw.player_id AND wt.currency_id = pw.currency_id
+  );
@@ -0,0 +1,21 @@
+-- =========================================================
+-- IDEMPOTENCY KEYS
+-- =========================================================
+-- Stored per user by the idempotent() middleware.
+-- status_code / response_body are NULL while the first
+-- request is still running. Rows older than
+-- IDEMPOTENCY_TTL_HOURS are ignored and swept by the server.
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  player_id      uuid NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  key            text NOT NULL,
+  route          text NOT NULL,
+  request_hash   text NOT NULL,
+  status_code    integer,
+  response_body  jsonb,
+  created_at     timestamptz NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (player_id, key)
+);
+
+CREATE INDEX IF NOT EXISTS idempotency_keys_created_idx
+  ON idempotency_keys (created_at);
@@ -0,0 +1,41 @@
+-- =========================================================
+-- STORE CATALOG: DISCOUNTS AND BUNDLES
+-- =========================================================
+-- Catalog items are active item_defs with a price in base_props.
+-- Daily offers are computed per player, nothing is stored.
+
+CREATE TABLE IF NOT EXISTS store_bundles (
+  id          serial PRIMARY KEY,
+  key         text NOT NULL UNIQUE,
+  name        text,
+  icon_key    text,
+  price       jsonb NOT NULL,            -- { "cash": 300 } / { "gems": 40 }
+  is_active   boolean NOT NULL DEFAULT true,
+  starts_at   timestamptz,               -- NULL = always available
+  ends_at     timestamptz
+);
+
+CREATE TABLE IF NOT EXISTS store_bundle_items (
+  bundle_id    integer NOT NULL REFERENCES store_bundles(id) ON DELETE CASCADE,
+  item_def_id  integer NOT NULL REFERENCES item_defs(id),
+  quantity     integer NOT NULL DEFAULT 1 CHECK (quantity > 0),
+  PRIMARY KEY (bundle_id, item_def_id)
+);
+
+CREATE TABLE IF NOT EXISTS store_discounts (
+  id           serial PRIMARY KEY,
+  item_def_id  integer REFERENCES item_defs(id) ON DELETE CASCADE,
+  bundle_id    integer REFERENCES store_bundles(id) ON DELETE CASCADE,
+  percent_off  integer NOT NULL CHECK (percent_off BETWEEN 1 AND 99),
+  starts_at    timestamptz NOT NULL,
+  ends_at      timestamptz NOT NULL,
+  is_active    boolean NOT NULL DEFAULT true,
+  CHECK ((item_def_id IS NULL) <> (bundle_id IS NULL)),
+  CHECK (ends_at > starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS store_discounts_item_idx
+  ON store_discounts (item_def_id, ends_at) WHERE item_def_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS store_discounts_bundle_idx
+  ON store_discounts (bundle_id, ends_at) WHERE bundle_id IS NOT NULL;
@@ -0,0 +1,12 @@
+-- =========================================================
+-- DAILY REWARDS
+-- =========================================================
+-- One row per player, created on the first claim.
+-- last_claim_date is a UTC calendar date.
+
+CREATE TABLE IF NOT EXISTS player_daily_rewards (
+  player_id        uuid PRIMARY KEY REFERENCES players(id) ON DELETE CASCADE,
+  streak           integer NOT NULL DEFAULT 0,
+  last_claim_date  date,
+  total_claims     integer NOT NULL DEFAULT 0
+);
@@ -0,0 +1,55 @@
+-- =========================================================
+-- CHALLENGES
+-- =========================================================
+-- challenge_templates: designer-owned definitions.
+--   period: 'daily' | 'weekly'
+--   metric: key of CHALLENGE_METRICS in server.js
+--     matches_played, kills, wins, top_n, wins_with_weapon,
+--     kills_with_weapon
+--   params: metric options, e.g. {"placement": 10},
+--     {"weapon_class": "sniper"}, {"item_def_key": "weapon_smg_basic"}
+--   reward: {"currency": "cash", "amount": 100}
+--     or {"item_def_key": "...", "quantity": 1}
+-- player_challenges: one row per assigned challenge per period.
+--   period_start is the UTC day (daily) or UTC Monday (weekly).
+
+CREATE TABLE IF NOT EXISTS challenge_templates (
+  id           serial PRIMARY KEY,
+  key          text NOT NULL UNIQUE,
+  name         text NOT NULL,
+  description  text,
+  period       text NOT NULL CHECK (period IN ('daily', 'weekly')),
+  metric       text NOT NULL,
+  params       jsonb NOT NULL DEFAULT '{}'::jsonb,
+  target       integer NOT NULL CHECK (target > 0),
+  reward       jsonb NOT NULL,
+  weight       integer NOT NULL DEFAULT 1 CHECK (weight > 0),
+  is_active    boolean NOT NULL DEFAULT true
+);
+
+CREATE TABLE IF NOT EXISTS player_challenges (
+  id            bigserial PRIMARY KEY,
+  player_id     uuid NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  template_id   integer NOT NULL REFERENCES challenge_templates(id),
+  period_start  date NOT NULL,
+  progress      integer NOT NULL DEFAULT 0,
+  target        integer NOT NULL,
+  completed_at  timestamptz,
+  claimed_at    timestamptz,
+  created_at    timestamptz NOT NULL DEFAULT NOW(),
+  UNIQUE (player_id, template_id, period_start)
+);
+
+CREATE INDEX IF NOT EXISTS player_challenges_player_period_idx
+  ON player_challenges (player_id, period_start);
+
+INSERT INTO challenge_templates (key, name, description, period, metric, params, target, reward, weight)
+VALUES
+  ('daily_kills_10', 'Get 10 kills', 'Get 10 kills across any matches.', 'daily', 'kills', '{}', 10, '{"currency": "cash", "amount": 100}', 3),
+  ('daily_play_3', 'Play 3 matches', 'Finish 3 matches.', 'daily', 'matches_played', '{}', 3, '{"currency": "cash", "amount": 75}', 3),
+  ('daily_top10_3', 'Top 10 three times', 'Finish in the top 10 three times.', 'daily', 'top_n', '{"placement": 10}', 3, '{"currency": "cash", "amount": 120}', 2),
+  ('daily_sniper_win', 'Win with a sniper', 'Win a match with a sniper equipped.', 'daily', 'wins_with_weapon', '{"weapon_class": "sniper"}', 1, '{"currency": "cash", "amount": 200}', 1),
+  ('weekly_kills_100', 'Get 100 kills', 'Get 100 kills this week.', 'weekly', 'kills', '{}', 100, '{"currency": "cash", "amount": 600}', 3),
+  ('weekly_wins_5', 'Win 5 matches', 'Win 5 matches this week.', 'weekly', 'wins', '{}', 5, '{"currency": "cash", "amount": 800}', 2),
+  ('weekly_top10_15', 'Top 10 fifteen times', 'Finish in the top 10 fifteen times this week.', 'weekly', 'top_n', '{"placement": 10}', 15, '{"currency": "cash", "amount": 700}', 2)
+ON CONFLICT (key) DO NOTHING;
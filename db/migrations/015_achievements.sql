@@ -0,0 +1,56 @@
+-- =========================================================
+-- ACHIEVEMENTS
+-- =========================================================
+-- achievement_defs: designer-owned definitions.
+--   kind 'stat':  stat in (matches_played, wins, kills, deaths),
+--                 unlocked when player_stats.<stat> >= threshold
+--   kind 'event': event in (purchase, item_upgrade, npc_upgrade),
+--                 unlocked when player_event_counts.count >= threshold
+--   reward (optional): {"currency": "cash", "amount": 100}
+--     or {"item_def_key": "...", "quantity": 1}
+-- player_event_counts: lifetime event counters, bumped by
+--   evaluateAchievements inside the event's transaction.
+-- player_achievements: one row per unlock.
+
+CREATE TABLE IF NOT EXISTS achievement_defs (
+  id           serial PRIMARY KEY,
+  key          text NOT NULL UNIQUE,
+  name         text NOT NULL,
+  description  text,
+  kind         text NOT NULL CHECK (kind IN ('stat', 'event')),
+  stat         text CHECK (stat IN ('matches_played', 'wins', 'kills', 'deaths')),
+  event        text CHECK (event IN ('purchase', 'item_upgrade', 'npc_upgrade')),
+  threshold    integer NOT NULL CHECK (threshold > 0),
+  reward       jsonb,
+  is_active    boolean NOT NULL DEFAULT true,
+  CHECK ((kind = 'stat' AND stat IS NOT NULL) OR (kind = 'event' AND event IS NOT NULL))
+);
+
+CREATE TABLE IF NOT EXISTS player_event_counts (
+  player_id  uuid NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  event      text NOT NULL,
+  count      integer NOT NULL DEFAULT 0,
+  PRIMARY KEY (player_id, event)
+);
+
+CREATE TABLE IF NOT EXISTS player_achievements (
+  player_id       uuid NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  achievement_id  integer NOT NULL REFERENCES achievement_defs(id),
+  unlocked_at     timestamptz NOT NULL DEFAULT NOW(),
+  claimed_at      timestamptz,
+  PRIMARY KEY (player_id, achievement_id)
+);
+
+INSERT INTO achievement_defs (key, name, description, kind, stat, event, threshold, reward)
+VALUES
+  ('first_match', 'First Drop', 'Finish your first match.', 'stat', 'matches_played', NULL, 1, '{"currency": "cash", "amount": 50}'),
+  ('matches_100', 'Veteran', 'Finish 100 matches.', 'stat', 'matches_played', NULL, 100, '{"currency": "cash", "amount": 1000}'),
+  ('first_win', 'Last One Standing', 'Win your first match.', 'stat', 'wins', NULL, 1, '{"currency": "cash", "amount": 200}'),
+  ('wins_10', 'Champion', 'Win 10 matches.', 'stat', 'wins', NULL, 10, '{"currency": "cash", "amount": 500}'),
+  ('kills_100', 'Sharpshooter', 'Get 100 kills.', 'stat', 'kills', NULL, 100, '{"currency": "cash", "amount": 300}'),
+  ('kills_1000', 'Legend', 'Get 1000 kills.', 'stat', 'kills', NULL, 1000, '{"currency": "cash", "amount": 2000}'),
+  ('deaths_50', 'Never Give Up', 'Lose 50 matches.', 'stat', 'deaths', NULL, 50, NULL),
+  ('first_purchase', 'Window Shopper No More', 'Buy something in the store.', 'event', NULL, 'purchase', 1, '{"currency": "cash", "amount": 50}'),
+  ('first_item_upgrade', 'Tinkerer', 'Upgrade a weapon.', 'event', NULL, 'item_upgrade', 1, '{"currency": "cash", "amount": 50}'),
+  ('first_npc_upgrade', 'Trainer', 'Upgrade your NPC.', 'event', NULL, 'npc_upgrade', 1, '{"currency": "cash", "amount": 50}')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,61 @@
+-- =========================================================
+-- ACCOUNT XP + SEASON PASS
+-- =========================================================
+-- players.xp: lifetime account xp (level is derived in server.js).
+-- seasons: the active season is the one whose window contains NOW().
+-- season_tiers: xp_required is cumulative season xp;
+--   rewards use the grantReward shape:
+--   {"currency": "cash", "amount": 100} or {"item_def_key": "...", "quantity": 1}
+-- player_seasons / player_season_claims: live state of the
+--   active season; moved into player_season_archive once the
+--   season has ended.
+
+ALTER TABLE players
+  ADD COLUMN IF NOT EXISTS xp bigint NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS seasons (
+  id           serial PRIMARY KEY,
+  key          text NOT NULL UNIQUE,
+  name         text NOT NULL,
+  starts_at    timestamptz NOT NULL,
+  ends_at      timestamptz NOT NULL,
+  archived_at  timestamptz,
+  CHECK (ends_at > starts_at)
+);
+
+CREATE TABLE IF NOT EXISTS season_tiers (
+  season_id       integer NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+  tier            integer NOT NULL CHECK (tier > 0),
+  xp_required     integer NOT NULL CHECK (xp_required >= 0),
+  free_reward     jsonb,
+  premium_reward  jsonb,
+  PRIMARY KEY (season_id, tier)
+);
+
+CREATE TABLE IF NOT EXISTS player_seasons (
+  player_id  uuid NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  season_id  integer NOT NULL REFERENCES seasons(id),
+  xp         bigint NOT NULL DEFAULT 0,
+  premium    boolean NOT NULL DEFAULT false,
+  PRIMARY KEY (player_id, season_id)
+);
+
+CREATE TABLE IF NOT EXISTS player_season_claims (
+  player_id   uuid NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  season_id   integer NOT NULL REFERENCES seasons(id),
+  tier        integer NOT NULL,
+  track       text NOT NULL CHECK (track IN ('free', 'premium')),
+  claimed_at  timestamptz NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (player_id, season_id, tier, track)
+);
+
+CREATE TABLE IF NOT EXISTS player_season_archive (
+  player_id    uuid NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  season_id    integer NOT NULL REFERENCES seasons(id),
+  xp           bigint NOT NULL,
+  tier         integer NOT NULL,
+  premium      boolean NOT NULL,
+  claims       jsonb NOT NULL DEFAULT '[]'::jsonb,
+  archived_at  timestamptz NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (player_id, season_id)
+);
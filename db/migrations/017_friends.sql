@@ -0,0 +1,33 @@
+-- =========================================================
+-- FRIENDS
+-- =========================================================
+-- friend_requests: pending requests (from -> to).
+-- friendships: accepted friendships, one row per direction.
+-- player_blocks: player_id blocks blocked_id.
+
+CREATE TABLE IF NOT EXISTS friend_requests (
+  from_player_id  uuid NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  to_player_id    uuid NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  created_at      timestamptz NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (from_player_id, to_player_id),
+  CHECK (from_player_id <> to_player_id)
+);
+
+CREATE INDEX IF NOT EXISTS friend_requests_to_idx
+  ON friend_requests (to_player_id);
+
+CREATE TABLE IF NOT EXISTS friendships (
+  player_id   uuid NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  friend_id   uuid NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  created_at  timestamptz NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (player_id, friend_id),
+  CHECK (player_id <> friend_id)
+);
+
+CREATE TABLE IF NOT EXISTS player_blocks (
+  player_id   uuid NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  blocked_id  uuid NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  created_at  timestamptz NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (player_id, blocked_id),
+  CHECK (player_id <> blocked_id)
+);
@@ -0,0 +1,26 @@
+-- =========================================================
+-- ADMIN
+-- =========================================================
+-- players.role: 'player' | 'admin'. Promote with
+--   UPDATE players SET role = 'admin' WHERE id = '<uuid>';
+-- admin_audit_log: one row per admin mutation, written in the
+--   same transaction as the change.
+
+ALTER TABLE players
+  ADD COLUMN IF NOT EXISTS role text NOT NULL DEFAULT 'player';
+
+ALTER TABLE players DROP CONSTRAINT IF EXISTS players_role_check;
+ALTER TABLE players
+  ADD CONSTRAINT players_role_check CHECK (role IN ('player', 'admin'));
+
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id                bigserial PRIMARY KEY,
+  admin_id          uuid NOT NULL REFERENCES players(id),
+  action            text NOT NULL,
+  target_player_id  uuid REFERENCES players(id) ON DELETE SET NULL,
+  details           jsonb NOT NULL DEFAULT '{}'::jsonb,
+  created_at        timestamptz NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS admin_audit_log_target_idx
+  ON admin_audit_log (target_player_id, id DESC);
@@ -0,0 +1,17 @@
+-- =========================================================
+-- MODERATION
+-- =========================================================
+-- At most one sanction per player (a new one replaces it).
+--   status 'suspended': active while expires_at > NOW()
+--   status 'banned':    permanent, expires_at NULL
+-- created_by: the admin who applied it.
+
+CREATE TABLE IF NOT EXISTS player_moderation (
+  player_id   uuid PRIMARY KEY REFERENCES players(id) ON DELETE CASCADE,
+  status      text NOT NULL CHECK (status IN ('suspended', 'banned')),
+  reason      text NOT NULL,
+  expires_at  timestamptz,
+  created_by  uuid REFERENCES players(id) ON DELETE SET NULL,
+  created_at  timestamptz NOT NULL DEFAULT NOW(),
+  CHECK ((status = 'banned' AND expires_at IS NULL) OR (status = 'suspended' AND expires_at IS NOT NULL))
+);
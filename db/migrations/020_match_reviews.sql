@@ -0,0 +1,33 @@
+-- =========================================================
+-- MATCH PLAUSIBILITY + REVIEWS
+-- =========================================================
+-- player_matches.duration_seconds: /match-config -> /match-result.
+-- player_matches.flags: soft-rule flags (too_short, rate_exceeded,
+--   kill_rate_outlier); '{}' for clean results. reward_cash is
+--   what was actually paid.
+-- match_reviews: one row per flagged result.
+--   withheld_cash > 0 when MATCH_WITHHOLD_FLAGGED_REWARDS held
+--   back the cash reward; paid out when the review is cleared.
+
+ALTER TABLE player_matches
+  ADD COLUMN IF NOT EXISTS duration_seconds integer,
+  ADD COLUMN IF NOT EXISTS flags text[] NOT NULL DEFAULT '{}';
+
+-- Population kill-rate stats scan recent matches
+CREATE INDEX IF NOT EXISTS player_matches_settled_idx
+  ON player_matches (settled_at);
+
+CREATE TABLE IF NOT EXISTS match_reviews (
+  match_id       uuid PRIMARY KEY REFERENCES player_matches(id) ON DELETE CASCADE,
+  player_id      uuid NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  flags          text[] NOT NULL,
+  withheld_cash  bigint NOT NULL DEFAULT 0,
+  status         text NOT NULL DEFAULT 'pending'
+                 CHECK (status IN ('pending', 'cleared', 'confirmed')),
+  created_at     timestamptz NOT NULL DEFAULT NOW(),
+  reviewed_by    uuid REFERENCES players(id) ON DELETE SET NULL,
+  reviewed_at    timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS match_reviews_status_idx
+  ON match_reviews (status, created_at);
@@ -0,0 +1,15 @@
+-- =========================================================
+-- RATE LIMITING (RATE_LIMIT_STORE=postgres)
+-- =========================================================
+-- One row per (route, ip/user, fixed window). Keys embed the
+-- window index, so rows are only inserted and incremented;
+-- expired rows are swept periodically by the server.
+
+CREATE UNLOGGED TABLE IF NOT EXISTS rate_limit_counters (
+  key         text PRIMARY KEY,
+  count       integer NOT NULL,
+  expires_at  timestamptz NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS rate_limit_counters_expires_idx
+  ON rate_limit_counters (expires_at);
@@ -0,0 +1,25 @@
+-- =========================================================
+-- PAID PRICE ON OWNED ITEMS
+-- =========================================================
+-- What the player actually paid for each instance, per currency
+-- (after discounts; bundle prices split over the bundled items).
+-- /store/sell refunds a share of this, never of the list price.
+-- Rewards and admin grants were free: '{}' (sell for nothing).
+
+ALTER TABLE player_items
+  ADD COLUMN IF NOT EXISTS paid_price jsonb NOT NULL DEFAULT '{}';
+
+-- Backfill single-item purchases from the ledger (bundle purchases
+-- reference the bundle, not the item, and stay at '{}')
+UPDATE player_items pi
+SET paid_price = paid.price
+FROM (
+  SELECT wt.reference_id, jsonb_object_agg(c.key, -wt.amount) AS price
+  FROM wallet_transactions wt
+  JOIN currencies c ON c.id = wt.currency_id
+  WHERE wt.reason = 'purchase'
+    AND wt.amount < 0
+  GROUP BY wt.reference_id
+) paid
+WHERE paid.reference_id = pi.id::text
+  AND pi.paid_price = '{}';
@@ -0,0 +1,11 @@
+-- =========================================================
+-- IDEMPOTENCY CLAIMS
+-- =========================================================
+-- claim_id identifies the request that claimed a key. The stored
+-- response is written inside that request's transaction
+-- (storeIdempotentResponse) and only while the claim is still
+-- its own, so a claim taken over as stale can never be completed
+-- by the original request as well.
+
+ALTER TABLE idempotency_keys
+  ADD COLUMN IF NOT EXISTS claim_id uuid;
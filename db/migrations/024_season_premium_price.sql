@@ -0,0 +1,10 @@
+-- =========================================================
+-- SEASON PASS PREMIUM PRICE
+-- =========================================================
+-- Price of the premium track for a season, in the store price
+-- shape: {"gems": 950}. Paid through POST /season/premium, which
+-- sets player_seasons.premium. NULL: premium is not sold for
+-- this season.
+
+ALTER TABLE seasons
+  ADD COLUMN IF NOT EXISTS premium_price jsonb;
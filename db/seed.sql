@@ -0,0 +1,46 @@
+-- =========================================================
+-- SEED DATA
+-- =========================================================
+-- Idempotent: safe to run after every migration. Existing rows
+-- are left as they are (ON CONFLICT DO NOTHING), so catalog
+-- edits made through /admin are not overwritten.
+-- Catalog matches docs/contracts/profile.json.
+
+-- Currencies (cash is required by createPlayerRows)
+INSERT INTO currencies (key) VALUES ('cash'), ('gems')
+ON CONFLICT (key) DO NOTHING;
+
+-- Weapons
+INSERT INTO item_defs (id, key, category, base_props, equip_slots, is_active)
+VALUES
+  (101, 'weapon_rifle_basic', 'weapon', '{
+    "name": "Basic Rifle",
+    "icon_key": "ico_weapon_rifle_basic",
+    "price_cash": 150,
+    "damage": 10,
+    "fire_rate": 0.12,
+    "upgrade_costs": [100, 200, 400]
+  }', ARRAY['weapon_primary', 'weapon_secondary'], true),
+  (102, 'weapon_sniper_basic', 'weapon', '{
+    "name": "Basic Sniper",
+    "icon_key": "ico_weapon_sniper_basic",
+    "price_cash": 250,
+    "damage": 40,
+    "fire_rate": 1.2,
+    "upgrade_costs": [150, 300, 600]
+  }', ARRAY['weapon_primary', 'weapon_secondary'], true),
+  (103, 'weapon_smg_basic', 'weapon', '{
+    "name": "Basic SMG",
+    "icon_key": "ico_weapon_smg_basic",
+    "price_cash": 120,
+    "damage": 6,
+    "fire_rate": 0.07,
+    "upgrade_costs": [80, 160, 320]
+  }', ARRAY['weapon_primary', 'weapon_secondary'], true)
+ON CONFLICT (key) DO NOTHING;
+
+-- Explicit ids above: move the sequence past them
+SELECT setval(
+  pg_get_serial_sequence('item_defs', 'id'),
+  GREATEST((SELECT MAX(id) FROM item_defs), 1)
+);
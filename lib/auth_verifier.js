@@ -0,0 +1,286 @@
+/* lib/auth_verifier.js
+   Access token verifiers used by requireAuth (server.js).
+   A verifier is { verify(token) -> Promise<{ userId, claims }> }
+   and throws an AuthError on failure:
+   - TOKEN_MALFORMED / TOKEN_EXPIRED / TOKEN_INVALID: bad token (401)
+   - VERIFIER_UNAVAILABLE: token could not be checked (503)
+   - createLocalJwtVerifier: HS256 (secret) or RS256 / ES256 (JWKS),
+     exp / nbf with JWT_CLOCK_SKEW_SECONDS (0 allowed), aud, iss
+   - createRemoteVerifier: supabase.auth.getUser (one round trip)
+   - withRemoteFallback: remote only when local is unavailable
+   - withClaimsCache: verified claims cached (never past exp)
+*/
+
+const crypto = require("crypto");
+const { validate: uuidValidate } = require("uuid");
+
+// Unset or empty keeps the default; otherwise a finite number >= 0
+function readSecondsEnv(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") return fallback;
+
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0) {
+    console.warn(`Invalid ${name}=${JSON.stringify(raw)}, using ${fallback}`);
+    return fallback;
+  }
+
+  return value;
+}
+
+const JWT_AUDIENCE = process.env.JWT_AUDIENCE || "authenticated";
+const JWT_ISSUER = process.env.JWT_ISSUER ||
+  (process.env.SUPABASE_URL ? `${process.env.SUPABASE_URL}/auth/v1` : null);
+const JWT_CLOCK_SKEW_SECONDS = readSecondsEnv("JWT_CLOCK_SKEW_SECONDS", 30);
+const JWKS_CACHE_TTL_MS = Number(process.env.JWKS_CACHE_TTL_MS) || 10 * 60 * 1000;
+const JWKS_MIN_REFETCH_MS = 30 * 1000;
+const AUTH_CLAIMS_CACHE_TTL_MS = Number(process.env.AUTH_CLAIMS_CACHE_TTL_MS) || 60 * 1000;
+const AUTH_CLAIMS_CACHE_MAX = Number(process.env.AUTH_CLAIMS_CACHE_MAX) || 10000;
+
+class AuthError extends Error {
+  // code: TOKEN_MALFORMED | TOKEN_EXPIRED | TOKEN_INVALID | VERIFIER_UNAVAILABLE
+  constructor(code, message = code) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// Header and payload must both be JSON objects ("null", "1" or
+// "[]" parse fine but are not a JWT part)
+function decodeJwtPart(part) {
+  let value;
+
+  try {
+    value = JSON.parse(Buffer.from(part, "base64url").toString("utf8"));
+  } catch {
+    throw new AuthError("TOKEN_MALFORMED");
+  }
+
+  if (value === null || typeof value !== "object" || Array.isArray(value)) {
+    throw new AuthError("TOKEN_MALFORMED");
+  }
+
+  return value;
+}
+
+function decodeJwt(token) {
+  const parts = typeof token === "string" ? token.split(".") : [];
+
+  if (parts.length !== 3) {
+    throw new AuthError("TOKEN_MALFORMED");
+  }
+
+  return {
+    header: decodeJwtPart(parts[0]),
+    payload: decodeJwtPart(parts[1]),
+    signingInput: `${parts[0]}.${parts[1]}`,
+    signature: Buffer.from(parts[2], "base64url")
+  };
+}
+
+function checkJwtClaims(claims, { audience, issuer, clockSkewSeconds }) {
+  const now = Math.floor(Date.now() / 1000);
+
+  if (!Number.isFinite(claims.exp) || claims.exp + clockSkewSeconds <= now) {
+    throw new AuthError("TOKEN_EXPIRED");
+  }
+
+  if (Number.isFinite(claims.nbf) && claims.nbf - clockSkewSeconds > now) {
+    throw new AuthError("TOKEN_INVALID", "token not yet valid");
+  }
+
+  if (audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(audience)) {
+      throw new AuthError("TOKEN_INVALID", "audience mismatch");
+    }
+  }
+
+  if (issuer && claims.iss !== issuer) {
+    throw new AuthError("TOKEN_INVALID", "issuer mismatch");
+  }
+
+  if (typeof claims.sub !== "string" || !uuidValidate(claims.sub)) {
+    throw new AuthError("TOKEN_INVALID", "subject is not a user id");
+  }
+}
+
+// JWKS keys by kid, refetched when stale or when a kid is unknown.
+// A kid still unknown after that is a bad token (TOKEN_INVALID);
+// only an unreachable JWKS endpoint is VERIFIER_UNAVAILABLE.
+function createJwksKeyStore(jwksUrl) {
+  let keys = new Map();
+  let fetchedAt = 0;
+
+  async function refresh() {
+    let body;
+
+    try {
+      const response = await fetch(jwksUrl);
+      if (!response.ok) throw new Error(`JWKS HTTP ${response.status}`);
+      body = await response.json();
+    } catch (err) {
+      throw new AuthError("VERIFIER_UNAVAILABLE", err.message);
+    }
+
+    const next = new Map();
+    for (const jwk of body.keys || []) {
+      try {
+        next.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: "jwk" }));
+      } catch (err) {
+        console.error("JWKS KEY ERROR:", jwk.kid, err.message);
+      }
+    }
+
+    keys = next;
+    fetchedAt = Date.now();
+  }
+
+  return async function getKey(kid) {
+    const age = Date.now() - fetchedAt;
+
+    if (age > JWKS_CACHE_TTL_MS || (!keys.has(kid) && age > JWKS_MIN_REFETCH_MS)) {
+      await refresh();
+    }
+
+    const key = keys.get(kid);
+    if (!key) {
+      throw new AuthError("TOKEN_INVALID", `no JWKS key for kid ${kid}`);
+    }
+    return key;
+  };
+}
+
+function createLocalJwtVerifier({
+  secret = null,
+  jwksUrl = null,
+  audience = JWT_AUDIENCE,
+  issuer = JWT_ISSUER,
+  clockSkewSeconds = JWT_CLOCK_SKEW_SECONDS
+} = {}) {
+  const getJwksKey = jwksUrl ? createJwksKeyStore(jwksUrl) : null;
+
+  function verifySignature(jwt, key, alg) {
+    const data = Buffer.from(jwt.signingInput);
+
+    if (alg === "HS256") {
+      const expected = crypto.createHmac("sha256", key).update(data).digest();
+      return expected.length === jwt.signature.length &&
+        crypto.timingSafeEqual(expected, jwt.signature);
+    }
+
+    if (alg === "RS256") {
+      return crypto.verify("RSA-SHA256", data, key, jwt.signature);
+    }
+
+    // ES256 signatures are raw r||s, not DER
+    return crypto.verify("sha256", data, { key, dsaEncoding: "ieee-p1363" }, jwt.signature);
+  }
+
+  return {
+    async verify(token) {
+      const jwt = decodeJwt(token);
+      const alg = jwt.header.alg;
+
+      let key;
+      if (alg === "HS256") {
+        if (!secret) throw new AuthError("VERIFIER_UNAVAILABLE", "no JWT secret configured");
+        key = secret;
+      } else if (alg === "RS256" || alg === "ES256") {
+        if (!getJwksKey) throw new AuthError("VERIFIER_UNAVAILABLE", "no JWKS URL configured");
+        key = await getJwksKey(jwt.header.kid);
+      } else {
+        throw new AuthError("TOKEN_INVALID", `unsupported alg ${alg}`);
+      }
+
+      if (!verifySignature(jwt, key, alg)) {
+        throw new AuthError("TOKEN_INVALID", "bad signature");
+      }
+
+      checkJwtClaims(jwt.payload, { audience, issuer, clockSkewSeconds });
+
+      return { userId: jwt.payload.sub, claims: jwt.payload };
+    }
+  };
+}
+
+function createRemoteVerifier(client) {
+  return {
+    async verify(token) {
+      let result;
+
+      try {
+        result = await client.auth.getUser(token);
+      } catch (err) {
+        throw new AuthError("VERIFIER_UNAVAILABLE", err.message);
+      }
+
+      const { data, error } = result;
+      if (error || !data?.user?.id) {
+        throw new AuthError("TOKEN_INVALID", error?.message || "unknown user");
+      }
+
+      // Signature already checked remotely; payload only bounds the cache
+      let claims = {};
+      try {
+        claims = decodeJwt(token).payload;
+      } catch {
+        // opaque token: no claims
+      }
+
+      return { userId: data.user.id, claims: { ...claims, sub: data.user.id } };
+    }
+  };
+}
+
+function withRemoteFallback(local, remote) {
+  return {
+    async verify(token) {
+      try {
+        return await local.verify(token);
+      } catch (err) {
+        if (err.code !== "VERIFIER_UNAVAILABLE") throw err;
+        return remote.verify(token);
+      }
+    }
+  };
+}
+
+function withClaimsCache(verifier, ttlMs = AUTH_CLAIMS_CACHE_TTL_MS, maxEntries = AUTH_CLAIMS_CACHE_MAX) {
+  const cache = new Map();
+
+  return {
+    async verify(token) {
+      const cacheKey = crypto.createHash("sha256").update(token).digest("base64url");
+      const now = Date.now();
+      const hit = cache.get(cacheKey);
+
+      if (hit && hit.expiresAt > now) {
+        return hit.result;
+      }
+      cache.delete(cacheKey);
+
+      const result = await verifier.verify(token);
+
+      const tokenExpiresAt = Number.isFinite(result.claims.exp) ? result.claims.exp * 1000 : Infinity;
+
+      // Map keeps insertion order: drop the oldest entry when full
+      if (cache.size >= maxEntries) {
+        cache.delete(cache.keys().next().value);
+      }
+      cache.set(cacheKey, { result, expiresAt: Math.min(now + ttlMs, tokenExpiresAt) });
+
+      return result;
+    }
+  };
+}
+
+module.exports = {
+  AuthError,
+  decodeJwt,
+  checkJwtClaims,
+  createLocalJwtVerifier,
+  createRemoteVerifier,
+  withRemoteFallback,
+  withClaimsCache
+};
@@ -0,0 +1,124 @@
+/* lib/mmr.js
+   MMR rating math used by /match-config and /match-result.
+   - Pure functions, no database or env access at call time
+   - createMmrRating(options) binds the functions to one config;
+     mmrOptionsFromEnv(env) reads that config from MMR_* env vars
+   - Field rating = average NPC rating of the match lineup
+     (NPC skill 0..100 mapped onto the MMR scale)
+   - algorithm selects an entry of MMR_ALGORITHMS
+   - kFactor scales the size of every change
+*/
+
+const MMR_MIN = 0;
+const MATCH_MAX_PLACEMENT = 100;
+
+const MMR_DEFAULTS = {
+  algorithm: "elo",
+  kFactor: 32,
+  killWeight: 0.02,
+  npcBaseRating: 800,
+  npcRatingPerSkill: 8
+};
+
+const MMR_ALGORITHMS = {
+  // Classic Elo against the field as a single opponent
+  elo({ mmr, fieldRating, score, kFactor }) {
+    const expected = 1 / (1 + Math.pow(10, (fieldRating - mmr) / 400));
+    return kFactor * (score - expected);
+  },
+
+  // Score around the midpoint, weighted by how strong the field is
+  linear({ mmr, fieldRating, score, kFactor }) {
+    const fieldFactor = mmr > 0 ? fieldRating / mmr : 1;
+    return kFactor * (score - 0.5) * fieldFactor;
+  }
+};
+
+// Unset or empty keeps the default; anything else must be a finite
+// number >= min, otherwise the default is used and a warning logged
+function readNumberEnv(env, name, fallback, min) {
+  const raw = env[name];
+  if (raw === undefined || raw === "") return fallback;
+
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < min) {
+    console.warn(`Invalid ${name}=${JSON.stringify(raw)}, using ${fallback}`);
+    return fallback;
+  }
+
+  return value;
+}
+
+function mmrOptionsFromEnv(env = process.env) {
+  return {
+    algorithm: env.MMR_ALGORITHM || MMR_DEFAULTS.algorithm,
+    kFactor: readNumberEnv(env, "MMR_K_FACTOR", MMR_DEFAULTS.kFactor, 0),
+    killWeight: readNumberEnv(env, "MMR_KILL_WEIGHT", MMR_DEFAULTS.killWeight, 0),
+    npcBaseRating: readNumberEnv(env, "MMR_NPC_BASE_RATING", MMR_DEFAULTS.npcBaseRating, 0),
+    npcRatingPerSkill: readNumberEnv(env, "MMR_NPC_RATING_PER_SKILL", MMR_DEFAULTS.npcRatingPerSkill, 1)
+  };
+}
+
+function createMmrRating(options = {}) {
+  const config = { ...MMR_DEFAULTS, ...options };
+  const algorithm = MMR_ALGORITHMS[config.algorithm];
+
+  if (!algorithm) {
+    throw new Error(`Unknown MMR_ALGORITHM: ${config.algorithm}`);
+  }
+
+  function npcSkillToRating(skill) {
+    return config.npcBaseRating + skill * config.npcRatingPerSkill;
+  }
+
+  function ratingToNpcSkill(rating) {
+    return (rating - config.npcBaseRating) / config.npcRatingPerSkill;
+  }
+
+  function computeFieldRating(npcs) {
+    if (npcs.length === 0) return null;
+
+    const total = npcs.reduce((sum, npc) => sum + npcSkillToRating(npc.skill), 0);
+    return Math.round(total / npcs.length);
+  }
+
+  // Match score in [0, 1]: placement share plus a small bonus per kill.
+  // fieldSize = players in the match (NPCs + the player)
+  function matchScore(placement, kills, fieldSize = MATCH_MAX_PLACEMENT) {
+    const placementScore = fieldSize > 1 ? (fieldSize - placement) / (fieldSize - 1) : 1;
+    return Math.min(1, Math.max(0, placementScore + kills * config.killWeight));
+  }
+
+  function computeMmrChange({ mmr, fieldRating, placement, kills, fieldSize }) {
+    const delta = Math.round(
+      algorithm({
+        mmr,
+        fieldRating: fieldRating ?? mmr,
+        score: matchScore(placement, kills, fieldSize),
+        kFactor: config.kFactor
+      })
+    );
+
+    const after = Math.max(MMR_MIN, mmr + delta);
+
+    return { before: mmr, after, delta: after - mmr };
+  }
+
+  return {
+    config,
+    npcSkillToRating,
+    ratingToNpcSkill,
+    computeFieldRating,
+    matchScore,
+    computeMmrChange
+  };
+}
+
+module.exports = {
+  MMR_MIN,
+  MATCH_MAX_PLACEMENT,
+  MMR_DEFAULTS,
+  MMR_ALGORITHMS,
+  mmrOptionsFromEnv,
+  createMmrRating
+};
@@ -0,0 +1,33 @@
+/* lib/placement.js
+   Placement scaling used by /match-result rewards.
+   A match has fieldSize players (session NPCs + the player), so
+   placement is 1..fieldSize. Rewards and "top N" thresholds are
+   defined on the MATCH_MAX_PLACEMENT (100) scale; the raw
+   placement is mapped onto that scale first:
+   - first place -> 1, last place -> MATCH_MAX_PLACEMENT
+   - places in between spread linearly (rounded)
+*/
+
+const { MATCH_MAX_PLACEMENT } = require("./mmr");
+
+function scalePlacement(placement, fieldSize) {
+  if (fieldSize <= 1) return 1;
+
+  return Math.round(1 + (placement - 1) * (MATCH_MAX_PLACEMENT - 1) / (fieldSize - 1));
+}
+
+// Top n on the 100-player scale ("top 10" = best 10% of the field)
+function isTopN(placement, fieldSize, n) {
+  return scalePlacement(placement, fieldSize) <= n;
+}
+
+// Placement part of the match cash reward: 100 for first, 1 for last
+function placementRewardCash(placement, fieldSize) {
+  return Math.max(0, MATCH_MAX_PLACEMENT + 1 - scalePlacement(placement, fieldSize));
+}
+
+module.exports = {
+  scalePlacement,
+  isTopN,
+  placementRewardCash
+};
@@ -0,0 +1,72 @@
+/* scripts/check_ledger.js
+   Verifies the wallet ledger against current balances.
+   For every wallet:
+     - SUM(wallet_transactions.amount) must equal player_wallets.balance
+     - the latest entry's balance_after must equal player_wallets.balance
+   Usage:
+     - DATABASE_URL in .env (not committed)
+     - node scripts/check_ledger.js
+   Exits 1 when any wallet is inconsistent.
+*/
+
+require("dotenv").config();
+
+const { Pool } = require("pg");
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: {
+    rejectUnauthorized: false,
+  },
+});
+
+async function main() {
+  const result = await pool.query(`
+    SELECT
+      pw.player_id,
+      c.key AS currency,
+      pw.balance,
+      COALESCE(ledger.total, 0) AS ledger_total,
+      latest.balance_after AS latest_balance_after
+    FROM player_wallets pw
+    JOIN currencies c ON c.id = pw.currency_id
+    LEFT JOIN (
+      SELECT player_id, currency_id, SUM(amount) AS total
+      FROM wallet_transactions
+      GROUP BY player_id, currency_id
+    ) ledger ON ledger.player_id = pw.player_id AND ledger.currency_id = pw.currency_id
+    LEFT JOIN LATERAL (
+      SELECT balance_after
+      FROM wallet_transactions wt
+      WHERE wt.player_id = pw.player_id AND wt.currency_id = pw.currency_id
+      ORDER BY wt.id DESC
+      LIMIT 1
+    ) latest ON true
+    WHERE pw.balance <> COALESCE(ledger.total, 0)
+       OR pw.balance <> COALESCE(latest.balance_after, 0)
+    ORDER BY pw.player_id, c.key
+  `);
+
+  if (result.rowCount === 0) {
+    console.log("Ledger consistent ✅");
+    return;
+  }
+
+  console.error(`Ledger mismatches: ${result.rowCount}`);
+  for (const row of result.rows) {
+    console.error(
+      `  player ${row.player_id} ${row.currency}:`,
+      `balance=${row.balance}`,
+      `ledger_sum=${row.ledger_total}`,
+      `latest_balance_after=${row.latest_balance_after}`
+    );
+  }
+  process.exitCode = 1;
+}
+
+main()
+  .catch((e) => {
+    console.error("LEDGER CHECK FAILED:", e.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,156 @@
+/* scripts/migrate.js
+   Applies the versioned SQL migrations in db/migrations and the
+   idempotent seed data in db/seed.sql.
+   - Migrations are named NNN_name.sql and applied in order, each
+     in its own transaction, and recorded in schema_migrations
+     with a checksum of the file
+   - An applied migration whose file changed is reported as
+     "modified" (edit by adding a new migration instead)
+   Usage:
+     - DATABASE_URL in .env (not committed)
+     - node scripts/migrate.js up       apply pending migrations
+     - node scripts/migrate.js status   list applied / pending
+     - node scripts/migrate.js seed     apply db/seed.sql
+   Exits 1 on failure or when status finds modified migrations.
+*/
+
+require("dotenv").config();
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { Pool } = require("pg");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "db", "migrations");
+const SEED_FILE = path.join(__dirname, "..", "db", "seed.sql");
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: {
+    rejectUnauthorized: false,
+  },
+});
+
+function loadMigrationFiles() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d{3}_[a-z0-9_]+\.sql$/.test(file))
+    .sort()
+    .map(file => {
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), "utf8");
+      return {
+        version: file.slice(0, 3),
+        name: file.slice(4, -4),
+        file,
+        sql,
+        checksum: crypto.createHash("sha256").update(sql).digest("hex")
+      };
+    });
+}
+
+async function ensureMigrationsTable() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version     text PRIMARY KEY,
+      name        text NOT NULL,
+      checksum    text NOT NULL,
+      applied_at  timestamptz NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+async function loadApplied() {
+  const result = await pool.query(
+    `SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version`
+  );
+  return new Map(result.rows.map(row => [row.version, row]));
+}
+
+async function up() {
+  const applied = await loadApplied();
+  const pending = loadMigrationFiles().filter(m => !applied.has(m.version));
+
+  if (pending.length === 0) {
+    console.log("No pending migrations ✅");
+    return;
+  }
+
+  for (const migration of pending) {
+    const client = await pool.connect();
+
+    try {
+      await client.query("BEGIN");
+      await client.query(migration.sql);
+      await client.query(
+        `INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)`,
+        [migration.version, migration.name, migration.checksum]
+      );
+      await client.query("COMMIT");
+      console.log(`  applied ${migration.file}`);
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw new Error(`${migration.file}: ${err.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  console.log(`Applied ${pending.length} migration(s) ✅`);
+}
+
+async function status() {
+  const applied = await loadApplied();
+  const files = loadMigrationFiles();
+  let modified = 0;
+
+  for (const migration of files) {
+    const row = applied.get(migration.version);
+
+    if (!row) {
+      console.log(`  pending   ${migration.file}`);
+    } else if (row.checksum !== migration.checksum) {
+      console.log(`  MODIFIED  ${migration.file} (applied ${row.applied_at.toISOString()})`);
+      modified++;
+    } else {
+      console.log(`  applied   ${migration.file} (${row.applied_at.toISOString()})`);
+    }
+  }
+
+  const known = new Set(files.map(m => m.version));
+  for (const row of applied.values()) {
+    if (!known.has(row.version)) {
+      console.log(`  MISSING   ${row.version}_${row.name}.sql (applied, file not found)`);
+    }
+  }
+
+  const pendingCount = files.filter(m => !applied.has(m.version)).length;
+  console.log(`${applied.size} applied, ${pendingCount} pending, ${modified} modified`);
+
+  if (modified > 0) process.exitCode = 1;
+}
+
+async function seed() {
+  await pool.query(fs.readFileSync(SEED_FILE, "utf8"));
+  console.log("Seed applied ✅");
+}
+
+const COMMANDS = { up, status, seed };
+
+async function main() {
+  const command = COMMANDS[process.argv[2] || "up"];
+
+  if (!command) {
+    console.error("Usage: node scripts/migrate.js [up|status|seed]");
+    process.exitCode = 1;
+    return;
+  }
+
+  await ensureMigrationsTable();
+  await command();
+}
+
+main()
+  .catch((e) => {
+    console.error("MIGRATION FAILED:", e.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -19,8 +19,8 @@ function must(v, name) {
   return v;
 }
 
-async function http(method, path, body, accessToken) {
-  const headers = { "Content-Type": "application/json" };
+async function http(method, path, body, accessToken, extraHeaders) {
+  const headers = { "Content-Type": "application/json", ...extraHeaders };
   if (accessToken) headers["Authorization"] = `Bearer ${accessToken}`;
 
   const res = await fetch(`${BASE_URL}${path}`, {
@@ -65,28 +65,55 @@ async function main() {
   }
   const cashBefore = prof1.json.wallet?.cash;
   const matchesBefore = prof1.json.stats?.matches_played;
-  console.log("   cashBefore:", cashBefore, "matchesBefore:", matchesBefore);
+  const mmrBefore = prof1.json.player?.mmr;
+  console.log("   cashBefore:", cashBefore, "matchesBefore:", matchesBefore, "mmrBefore:", mmrBefore);
 
   if (TEST_ITEM_DEF_ID) {
     console.log("4) POST /store/buy...");
-    const buy = await http("POST", "/store/buy", { item_def_id: TEST_ITEM_DEF_ID }, access);
+    const buyKey = { "Idempotency-Key": `smoke-buy-${Date.now()}` };
+    const buy = await http("POST", "/store/buy", { item_def_id: TEST_ITEM_DEF_ID }, access, buyKey);
     console.log("   buy status:", buy.status, buy.text);
     if (!buy.ok) {
       console.error("buy failed:", buy.status, buy.text);
       process.exit(1);
     }
+
+    console.log("4b) POST /store/buy retry with same Idempotency-Key...");
+    const buyRetry = await http("POST", "/store/buy", { item_def_id: TEST_ITEM_DEF_ID }, access, buyKey);
+    if (buyRetry.json?.new_item?.player_item_id !== buy.json.new_item.player_item_id) {
+      console.error("retry was not replayed:", buyRetry.status, buyRetry.text);
+      process.exit(1);
+    }
   } else {
     console.log("4) POST /store/buy skipped (set TEST_ITEM_DEF_ID in .env)");
   }
 
-  console.log("5) POST /match-result (sample) ...");
-  const match = await http("POST", "/match-result", { kills: 2, placement: 50, win: false }, access);
+  console.log("5) GET /match-config...");
+  const config = await http("GET", "/match-config", null, access);
+  if (!config.ok) {
+    console.error("match-config failed:", config.status, config.text);
+    process.exit(1);
+  }
+  const matchId = config.json.matchId;
+  const placement = config.json.npcs.length + 1; // last place: valid for any lineup
+  console.log("   matchId:", matchId);
+
+  console.log("5b) POST /match-result (sample) ...");
+  const match = await http("POST", "/match-result", { matchId, kills: 2, placement }, access);
   console.log("   match status:", match.status, match.text);
   if (!match.ok) {
     console.error("match-result failed:", match.status, match.text);
     process.exit(1);
   }
 
+  console.log("5c) POST /match-result (replay, must be rejected) ...");
+  const replay = await http("POST", "/match-result", { matchId, kills: 2, placement }, access);
+  console.log("   replay status:", replay.status, replay.text);
+  if (replay.json?.error !== "MATCH_ALREADY_SETTLED") {
+    console.error("replay was not rejected:", replay.status, replay.text);
+    process.exit(1);
+  }
+
   console.log("6) GET /profile again...");
   const prof2 = await http("GET", "/profile", null, access);
   if (!prof2.ok) {
@@ -96,12 +123,16 @@ async function main() {
 
   const cashAfter = prof2.json.wallet?.cash;
   const matchesAfter = prof2.json.stats?.matches_played;
-  console.log("   cashAfter:", cashAfter, "matchesAfter:", matchesAfter);
+  const mmrAfter = prof2.json.player?.mmr;
+  console.log("   cashAfter:", cashAfter, "matchesAfter:", matchesAfter, "mmrAfter:", mmrAfter);
 
   console.log("7) basic assertions...");
   if (matchesAfter !== matchesBefore + 1) {
     throw new Error(`matches_played did not increment by 1 (${matchesBefore} -> ${matchesAfter})`);
   }
+  if (!Number.isInteger(match.json.mmr_delta) || mmrAfter !== mmrBefore + match.json.mmr_delta) {
+    throw new Error(`mmr did not move by mmr_delta (${mmrBefore} -> ${mmrAfter}, delta ${match.json.mmr_delta})`);
+  }
 
   console.log("DONE ✅");
 }
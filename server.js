@@ -11,12 +11,14 @@ app.use(express.json());
 
 app.use(cors({
   origin: "*", // can restrict later
-  methods: ["GET", "POST"],
-  allowedHeaders: ["Content-Type", "Authorization"]
+  methods: ["GET", "POST", "PATCH", "DELETE"],
+  allowedHeaders: ["Content-Type", "Authorization", "Idempotency-Key"],
+  exposedHeaders: ["Idempotency-Replayed", "Retry-After"]
 }));
 
+const crypto = require("crypto");
 const { Pool } = require("pg");
-const { v4: uuidv4 } = require("uuid");
+const { v4: uuidv4, validate: uuidValidate } = require("uuid");
 const { createClient } = require("@supabase/supabase-js");
 
 
@@ -56,12 +58,72 @@ const supabaseAdmin = createClient(
 
 
 
+/*
+=========================================================
+AUTH: ACCESS TOKEN VERIFIERS
+=========================================================
+A verifier is { verify(token) -> Promise<{ userId, claims }> }
+and throws an AuthError on failure (lib/auth_verifier.js,
+tested in test/auth_verifier.test.js). requireAuth uses
+app.get("authVerifier"), so it can be swapped:
+  app.set("authVerifier", createLocalJwtVerifier({ secret: "test" }))
+- createLocalJwtVerifier: verifies the JWT locally
+  - HS256 with the project JWT secret (SUPABASE_JWT_SECRET)
+  - RS256 / ES256 with keys from a JWKS URL (SUPABASE_JWKS_URL),
+    cached for JWKS_CACHE_TTL_MS, refetched on an unknown kid
+    (still unknown: 401, JWKS unreachable: 503)
+  - checks exp / nbf (JWT_CLOCK_SKEW_SECONDS, 0 allowed),
+    aud (JWT_AUDIENCE) and iss (JWT_ISSUER)
+- createRemoteVerifier: supabase.auth.getUser (one round trip)
+- withRemoteFallback: uses remote only when local verification
+  is unavailable (no key, JWKS unreachable), never for a token
+  that failed a check (AUTH_REMOTE_FALLBACK=true)
+- withClaimsCache: verified claims cached for
+  AUTH_CLAIMS_CACHE_TTL_MS (never past the token's exp)
+Without SUPABASE_JWT_SECRET / SUPABASE_JWKS_URL the remote check
+is used (cached), as before.
+*/
+const {
+  AuthError,
+  createLocalJwtVerifier,
+  createRemoteVerifier,
+  withRemoteFallback,
+  withClaimsCache
+} = require("./lib/auth_verifier");
+
+function createDefaultAuthVerifier() {
+  const secret = process.env.SUPABASE_JWT_SECRET || null;
+  const jwksUrl = process.env.SUPABASE_JWKS_URL || null;
+  const remote = createRemoteVerifier(supabase);
+
+  if (!secret && !jwksUrl) {
+    return withClaimsCache(remote);
+  }
+
+  const local = createLocalJwtVerifier({ secret, jwksUrl });
+
+  return withClaimsCache(
+    process.env.AUTH_REMOTE_FALLBACK === "true" ? withRemoteFallback(local, remote) : local
+  );
+}
+
+app.set("authVerifier", createDefaultAuthVerifier());
+
+
+
+
+
+
+
+
 /*
 =========================================================
 AUTH MIDDLEWARE (VALIDATE SUPABASE JWT)
 =========================================================
 - Reads Authorization: Bearer <access_token>
-- Validates token via Supabase
+- Validates token via app.get("authVerifier")
+  (see AUTH: ACCESS TOKEN VERIFIERS)
+- Rejects banned / suspended players (see MODERATION)
 - Exposes req.userId
 */
 async function requireAuth(req, res, next) {
@@ -75,12 +137,27 @@ async function requireAuth(req, res, next) {
 
     const accessToken = parts[1];
 
-    const { data, error } = await supabase.auth.getUser(accessToken);
-    if (error || !data?.user?.id) {
+    let verified;
+    try {
+      verified = await req.app.get("authVerifier").verify(accessToken);
+    } catch (err) {
+      if (!(err instanceof AuthError)) throw err;
+
+      if (err.code === "VERIFIER_UNAVAILABLE") {
+        console.error("AUTH VERIFIER UNAVAILABLE:", err.message);
+        return res.status(503).json({ error: "AUTH_UNAVAILABLE" });
+      }
       return res.status(401).json({ error: "Invalid or expired token" });
     }
 
-    req.userId = data.user.id;
+    // Banned / suspended accounts are rejected on every request
+    const sanction = await loadActiveSanction(pool, verified.userId);
+    if (sanction) {
+      return res.status(403).json(sanctionError(sanction));
+    }
+
+    req.userId = verified.userId;
+    req.authClaims = verified.claims;
     next();
   } catch (err) {
     console.error("AUTH MIDDLEWARE ERROR:", err);
@@ -88,6 +165,99 @@ async function requireAuth(req, res, next) {
   }
 }
 
+/*
+=========================================================
+MODERATION
+=========================================================
+- player_moderation: at most one sanction per player
+  - status "suspended": until expires_at
+  - status "banned": permanent (expires_at NULL)
+- requireAuth and /auth/signin reject sanctioned players with
+  403 { error: ACCOUNT_SUSPENDED | ACCOUNT_BANNED, reason, expires_at }
+- Set / lifted through /admin/players/:id/suspend, /ban, /unban
+- Usernames go through a blocked-words filter
+  (USERNAME_BLOCKED_WORDS, comma-separated, case-insensitive;
+  matched after folding common digit substitutions)
+  - USERNAME_BLOCKED_MATCH=word (default): a blocked word must be
+    a whole token of the name; tokens split on "_" and camelCase,
+    leading / trailing digits ignored ("the_admin", "AdminBob",
+    "adm1n99" are blocked, "badminton" is not)
+  - USERNAME_BLOCKED_MATCH=substring: anywhere in the name
+*/
+const USERNAME_BLOCKED_WORDS = (process.env.USERNAME_BLOCKED_WORDS ||
+  "admin,moderator,official,staff,support")
+  .split(",")
+  .map(word => word.trim().toLowerCase())
+  .filter(Boolean);
+
+const USERNAME_BLOCKED_MATCH = process.env.USERNAME_BLOCKED_MATCH || "word";
+
+if (USERNAME_BLOCKED_MATCH !== "word" && USERNAME_BLOCKED_MATCH !== "substring") {
+  throw new Error(`Unknown USERNAME_BLOCKED_MATCH: ${USERNAME_BLOCKED_MATCH}`);
+}
+
+const USERNAME_FOLD = { "0": "o", "1": "i", "3": "e", "4": "a", "5": "s", "7": "t" };
+
+function foldUsername(value) {
+  return value.replace(/[013457]/g, char => USERNAME_FOLD[char]);
+}
+
+// "Big_AdminBot77" -> ["big", "admin", "bot77"]
+function usernameTokens(username) {
+  return username
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .toLowerCase()
+    .split("_")
+    .filter(Boolean);
+}
+
+function isUsernameBlocked(username) {
+  if (USERNAME_BLOCKED_MATCH === "substring") {
+    const plain = username.toLowerCase().replace(/_/g, "");
+    const folded = foldUsername(plain);
+
+    return USERNAME_BLOCKED_WORDS.some(word => plain.includes(word) || folded.includes(word));
+  }
+
+  const candidates = new Set();
+
+  for (const token of usernameTokens(username)) {
+    const trimmed = token.replace(/^[0-9]+|[0-9]+$/g, "");
+    candidates.add(token).add(foldUsername(token)).add(trimmed).add(foldUsername(trimmed));
+  }
+
+  return USERNAME_BLOCKED_WORDS.some(word => candidates.has(word));
+}
+
+// Current sanction or null (expired suspensions do not count)
+async function loadActiveSanction(db, userId) {
+  const result = await db.query(
+    `
+    SELECT status, reason, expires_at
+    FROM player_moderation
+    WHERE player_id = $1
+      AND (status = 'banned' OR expires_at > NOW())
+    `,
+    [userId]
+  );
+  return result.rows[0] || null;
+}
+
+function sanctionError(sanction) {
+  return {
+    error: sanction.status === "banned" ? "ACCOUNT_BANNED" : "ACCOUNT_SUSPENDED",
+    reason: sanction.reason,
+    expires_at: sanction.expires_at
+  };
+}
+
+
+
+
+
+
+
+
 /*
 =========================================================
 DATABASE CONNECTION (Supabase Postgres via pooler)
@@ -107,783 +277,6092 @@ const pool = new Pool({
 
 /*
 =========================================================
-HELPER: GENERATE RANDOM USERNAME
+IDEMPOTENCY MIDDLEWARE
 =========================================================
+- Use after requireAuth: idempotent("store/buy")
+- Optional header: Idempotency-Key: <1..255 chars>
+- Keys are stored per user with a hash of the request body
+  and path params (/challenges/:id/claim: same key, other id
+  -> IDEMPOTENCY_KEY_REUSED)
+- First request claims the key, runs, and its response
+  (status < 500) is stored; 5xx releases the key for retry
+- Handlers that commit a change call storeIdempotentResponse
+  before COMMIT, so the change and its stored response are
+  committed together; other responses (4xx after ROLLBACK) are
+  stored afterwards, and released if that store fails
+- Any 5xx releases the key, also after storeIdempotentResponse
+  (the transaction or its COMMIT failed)
+- Duplicate with the same body -> stored response replayed
+  (Idempotency-Replayed: true header)
+- Same key, different body, params or route -> 409 IDEMPOTENCY_KEY_REUSED
+- Same key while the first request still runs
+  -> 409 IDEMPOTENCY_KEY_IN_PROGRESS
+- A claim still without a response after
+  IDEMPOTENCY_STALE_SECONDS (process died mid-request) is stale:
+  nothing was committed for it, so the key can be claimed again
+- Keys expire after IDEMPOTENCY_TTL_HOURS and are swept hourly
 */
-function generateRandomUsername() {
-  const chars = "abcdefghijklmnopqrstuvwxyz0123456789";
-  let suffix = "";
+const IDEMPOTENCY_TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+const IDEMPOTENCY_STALE_SECONDS = Number(process.env.IDEMPOTENCY_STALE_SECONDS) || 60;
+const IDEMPOTENCY_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// JSON with sorted object keys so equivalent bodies hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
 
-  for (let i = 0; i < 6; i++) {
-    suffix += chars[Math.floor(Math.random() * chars.length)];
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(",")}}`;
   }
 
-  return `user${suffix}`;
+  return JSON.stringify(value ?? null);
 }
 
+// Inside the handler's transaction, before COMMIT. Throws when
+// the claim was taken over as stale (the handler rolls back).
+async function storeIdempotentResponse(client, res, body) {
+  const claim = res.locals.idempotencyClaim;
+  if (!claim) return;
+
+  const stored = await client.query(
+    `
+    UPDATE idempotency_keys
+    SET status_code = $4, response_body = $5
+    WHERE player_id = $1 AND key = $2 AND claim_id = $3
+    `,
+    [claim.userId, claim.key, claim.claimId, res.statusCode, JSON.stringify(body)]
+  );
+
+  if (stored.rowCount === 0) {
+    throw new Error("IDEMPOTENCY_CLAIM_LOST");
+  }
 
-/*
-=========================================================
-HELPER: CREATE PLAYER ROWS AFTER AUTH SIGNUP
-=========================================================
-We use the Supabase Auth user.id as players.id
-*/
-async function createPlayerRows(userId) {
-  const client = await pool.connect();
-
-  try {
-    await client.query("BEGIN");
-	
-	// ---------- Generate unique username ----------
-    let username;
-    let attempts = 0;
-
-    while (true) {
-      username = generateRandomUsername();
+  claim.stored = true;
+}
 
-      const exists = await client.query(
-        `SELECT 1 FROM players WHERE username = $1 LIMIT 1`,
-        [username]
-      );
+function idempotent(route) {
+  return async function idempotencyMiddleware(req, res, next) {
+    const key = req.get("Idempotency-Key");
 
-      if (exists.rowCount === 0) break;
+    if (key === undefined) return next();
 
-      attempts++;
-      if (attempts > 10) {
-        throw new Error("USERNAME_GENERATION_FAILED");
-      }
+    if (key.length === 0 || key.length > 255) {
+      return res.status(400).json({ error: "INVALID_IDEMPOTENCY_KEY" });
     }
 
-    // 1) players
-    await client.query(
-      `INSERT INTO players (id, username)
-       VALUES ($1, $2)`,
-      [userId, username]
-    );
+    const userId = req.userId;
+    const requestHash = crypto
+      .createHash("sha256")
+      .update(stableStringify({ params: req.params, body: req.body }))
+      .digest("hex");
 
-    // 2) player_stats
-    await client.query(
-      `INSERT INTO player_stats (player_id)
-       VALUES ($1)`,
-      [userId]
-    );
+    try {
+      // An expired key or a stale claim may be reused as if new
+      await pool.query(
+        `
+        DELETE FROM idempotency_keys
+        WHERE player_id = $1 AND key = $2
+          AND (
+            created_at < NOW() - make_interval(hours => $3)
+            OR (status_code IS NULL AND created_at < NOW() - make_interval(secs => $4))
+          )
+        `,
+        [userId, key, IDEMPOTENCY_TTL_HOURS, IDEMPOTENCY_STALE_SECONDS]
+      );
 
-    // 3) player_wallets (cash)
-    const cashCurrency = await client.query(
-      `SELECT id FROM currencies WHERE key = 'cash' LIMIT 1`
-    );
+      const claimId = uuidv4();
+      const claim = await pool.query(
+        `
+        INSERT INTO idempotency_keys (player_id, key, route, request_hash, claim_id)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (player_id, key) DO NOTHING
+        RETURNING key
+        `,
+        [userId, key, route, requestHash, claimId]
+      );
 
-    if (cashCurrency.rowCount === 0) {
-      throw new Error("CASH_CURRENCY_NOT_FOUND");
-    }
+      if (claim.rowCount === 0) {
+        const existing = await pool.query(
+          `
+          SELECT route, request_hash, status_code, response_body
+          FROM idempotency_keys
+          WHERE player_id = $1 AND key = $2
+          `,
+          [userId, key]
+        );
+
+        // Released by a failed first attempt between our two queries
+        if (existing.rowCount === 0) {
+          return res.status(409).json({ error: "IDEMPOTENCY_KEY_IN_PROGRESS" });
+        }
 
-    await client.query(
-      `INSERT INTO player_wallets (player_id, currency_id, balance)
-       VALUES ($1, $2, $3)`,
-      [userId, cashCurrency.rows[0].id, 0] // starting cash = 0
-    );
+        const record = existing.rows[0];
 
-    // 4) player_npcs
-    await client.query(
-      `INSERT INTO player_npcs (player_id, strength, perception, agility)
-       VALUES ($1, 1, 1, 1)`,
-      [userId]
-    );
-	
-    // 5) player_equipment	
-	await client.query(`
-	  INSERT INTO player_equipment (player_id, slot, player_item_id)
-	  VALUES ($1, 'weapon_primary', NULL)
-	`, [userId]);
+        if (record.route !== route || record.request_hash !== requestHash) {
+          return res.status(409).json({ error: "IDEMPOTENCY_KEY_REUSED" });
+        }
 
-    await client.query("COMMIT");
-	
-	return username; // log username
+        if (record.status_code === null) {
+          return res.status(409).json({ error: "IDEMPOTENCY_KEY_IN_PROGRESS" });
+        }
 
-  } catch (err) {
-    await client.query("ROLLBACK");
-    throw err;
-  } finally {
-    client.release();
-  }
-}
+        res.set("Idempotency-Replayed", "true");
+        return res.status(record.status_code).json(record.response_body);
+      }
 
+      const claimRecord = { userId, key, claimId, stored: false };
+      res.locals.idempotencyClaim = claimRecord;
 
+      // Only ever touches our own claim (not one that replaced it)
+      const releaseClaim = () => pool.query(
+        `DELETE FROM idempotency_keys WHERE player_id = $1 AND key = $2 AND claim_id = $3`,
+        [userId, key, claimId]
+      );
 
+      // Store the response before it is sent
+      const sendJson = res.json.bind(res);
+      let handled = false;
 
+      // Handler ended without res.json (thrown error, aborted): release the key
+      res.on("close", () => {
+        if (handled) return;
 
+        releaseClaim().catch(err => console.error("IDEMPOTENCY RELEASE ERROR:", err));
+      });
 
+      res.json = (body) => {
+        handled = true;
+        const statusCode = res.statusCode;
 
+        // Committed together with the handler's transaction. A 5xx
+        // after storeIdempotentResponse means the transaction (or its
+        // COMMIT) failed, so the stored response never landed: fall
+        // through and release the key
+        if (claimRecord.stored && statusCode < 500) {
+          return sendJson(body);
+        }
 
+        const store = statusCode >= 500
+          ? releaseClaim()
+          : pool.query(
+            `
+            UPDATE idempotency_keys
+            SET status_code = $4, response_body = $5
+            WHERE player_id = $1 AND key = $2 AND claim_id = $3
+            `,
+            [userId, key, claimId, statusCode, JSON.stringify(body)]
+          ).catch(err => {
+            // Nothing was committed for this response: release
+            // the key so a retry runs again
+            console.error("IDEMPOTENCY STORE ERROR:", err);
+            return releaseClaim();
+          });
+
+        store
+          .catch(err => console.error("IDEMPOTENCY STORE ERROR:", err))
+          .finally(() => sendJson(body));
+
+        return res;
+      };
+
+      next();
+
+    } catch (err) {
+      console.error("IDEMPOTENCY ERROR:", err);
+      res.status(500).json({ error: "SERVER_ERROR" });
+    }
+  };
+}
 
-/*
-=========================================================
-HEALTH CHECK
-=========================================================
-Used to confirm:
-- Render is running
-- DB connection works
-*/
-app.get("/ping", async (req, res) => {
-  try {
-    const result = await pool.query("SELECT 1 as ok");
-    res.json(result.rows);
-  } catch (err) {
-    console.error("DB ERROR:", err);
-    res.status(500).json({ error: err.message });
-  }
-});
+setInterval(() => {
+  pool.query(
+    `DELETE FROM idempotency_keys WHERE created_at < NOW() - make_interval(hours => $1)`,
+    [IDEMPOTENCY_TTL_HOURS]
+  ).catch(err => console.error("IDEMPOTENCY SWEEP ERROR:", err));
+}, IDEMPOTENCY_SWEEP_INTERVAL_MS).unref();
 
 /*
 =========================================================
-AUTH: SIGNUP
+RATE LIMITING
 =========================================================
-1. Creates Supabase Auth user
-2. Inserts into players table
-3. Inserts into player_stats table
-4. Email confirmation required (configured in Supabase)
+- rateLimit("auth/signin") middleware, per route config in
+  RATE_LIMITS (override with RATE_LIMITS_JSON, same shape)
+  - windowSeconds: fixed window length
+  - ip: max requests per client IP per window
+  - user: max requests per user per window; the user is
+    req.userId (place after requireAuth) or, on auth routes,
+    the lowercased email from the body
+  - null disables that dimension
+- Over the limit -> 429 { error: "RATE_LIMITED", retry_after }
+  + Retry-After header (seconds)
+- Store is pluggable (RATE_LIMIT_STORE):
+  - "memory" (default): per process, fine for one instance/tests
+  - "postgres": shared counters in rate_limit_counters for
+    multi-instance deployments
+  A store is { hit(key, ttlMs) -> Promise<count> }.
+  Any other value fails at startup.
+- Store failures fail open (logged, request continues)
+- Client IP comes from req.ip. Proxies are not trusted by default
+  (X-Forwarded-For ignored, so clients cannot spoof their IP);
+  deployments behind a proxy opt in with TRUST_PROXY_HOPS = the
+  number of proxies in front of the app (Render: 1)
 */
-app.post("/auth/signup", async (req, res) => {
-  try {
-    const { email, password, username } = req.body;
+const TRUST_PROXY_HOPS = Number(process.env.TRUST_PROXY_HOPS || 0);
 
-    if (!email || !password || !username) {
-      return res.status(400).json({
-        error: "email, password, username required"
-      });
+if (!Number.isInteger(TRUST_PROXY_HOPS) || TRUST_PROXY_HOPS < 0) {
+  throw new Error(`Invalid TRUST_PROXY_HOPS: ${process.env.TRUST_PROXY_HOPS}`);
+}
+
+app.set("trust proxy", TRUST_PROXY_HOPS);
+
+const RATE_LIMIT_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+const RATE_LIMITS = process.env.RATE_LIMITS_JSON
+  ? JSON.parse(process.env.RATE_LIMITS_JSON)
+  : {
+    "auth/signup": { windowSeconds: 3600, ip: 5, user: 3 },
+    "auth/signin": { windowSeconds: 300, ip: 20, user: 10 },
+    "auth/refresh": { windowSeconds: 300, ip: 60, user: null },
+    "auth/request-password-reset": { windowSeconds: 3600, ip: 5, user: 3 },
+    "auth/set-password": { windowSeconds: 3600, ip: 10, user: null },
+    "economy": { windowSeconds: 60, ip: 120, user: 60 },
+    "friends/request": { windowSeconds: 3600, ip: 60, user: 30 }
+  };
+
+function createMemoryRateLimitStore() {
+  const counters = new Map();
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.expiresAt <= now) counters.delete(key);
     }
+  }, RATE_LIMIT_SWEEP_INTERVAL_MS).unref();
 
-    // Create Supabase auth user
-    const { data, error } = await supabase.auth.signUp({
-      email,
-      password
-    });
+  return {
+    async hit(key, ttlMs) {
+      const now = Date.now();
+      const counter = counters.get(key);
 
-    if (error) {
-      return res.status(400).json({ error: error.message });
-    }
+      if (!counter || counter.expiresAt <= now) {
+        counters.set(key, { count: 1, expiresAt: now + ttlMs });
+        return 1;
+      }
 
-    const user = data.user;
+      counter.count++;
+      return counter.count;
+    }
+  };
+}
 
-    if (!user || !user.id) {
-      return res.status(500).json({ error: "Auth user not created" });
+function createPostgresRateLimitStore(db) {
+  setInterval(() => {
+    db.query(`DELETE FROM rate_limit_counters WHERE expires_at <= NOW()`)
+      .catch(err => console.error("RATE LIMIT SWEEP ERROR:", err));
+  }, RATE_LIMIT_SWEEP_INTERVAL_MS).unref();
+
+  return {
+    async hit(key, ttlMs) {
+      const result = await db.query(
+        `
+        INSERT INTO rate_limit_counters (key, count, expires_at)
+        VALUES ($1, 1, NOW() + make_interval(secs => $2 / 1000.0))
+        ON CONFLICT (key) DO UPDATE SET count = rate_limit_counters.count + 1
+        RETURNING count
+        `,
+        [key, ttlMs]
+      );
+      return result.rows[0].count;
     }
+  };
+}
+
+const RATE_LIMIT_STORES = {
+  memory: () => createMemoryRateLimitStore(),
+  postgres: () => createPostgresRateLimitStore(pool)
+};
+
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || "memory";
+
+if (!RATE_LIMIT_STORES[RATE_LIMIT_STORE]) {
+  throw new Error(`Unknown RATE_LIMIT_STORE: ${RATE_LIMIT_STORE}`);
+}
+
+const rateLimitStore = RATE_LIMIT_STORES[RATE_LIMIT_STORE]();
+
+function rateLimitIdentity(req) {
+  if (req.userId) return req.userId;
+
+  const email = req.body?.email;
+  return typeof email === "string" && email.length > 0 ? email.trim().toLowerCase() : null;
+}
+
+function rateLimit(route) {
+  const config = RATE_LIMITS[route];
+
+  if (!config) {
+    throw new Error(`No rate limit config for ${route}`);
+  }
 
+  const windowMs = config.windowSeconds * 1000;
+
+  return async (req, res, next) => {
     try {
-      // Initialize DB rows (transaction)
-      await createPlayerRows(user.id, username);
+      // Fixed window: the index is part of the key, so counters never need resetting
+      const now = Date.now();
+      const windowIndex = Math.floor(now / windowMs);
+      const retryAfter = Math.ceil(((windowIndex + 1) * windowMs - now) / 1000);
 
-    } catch (dbError) {
-      console.error("DB INIT FAILED:", dbError);
+      const identity = rateLimitIdentity(req);
+      const checks = [
+        { limit: config.ip, id: req.ip ? `ip:${req.ip}` : null },
+        { limit: config.user, id: identity ? `user:${identity}` : null }
+      ];
 
-      // STRICT MODE: delete auth user
-      await supabaseAdmin.auth.admin.deleteUser(user.id);
+      for (const { limit, id } of checks) {
+        if (!limit || !id) continue;
 
-      return res.status(500).json({
-        error: "ACCOUNT_INIT_FAILED"
-      });
+        const count = await rateLimitStore.hit(`${route}:${id}:${windowIndex}`, windowMs);
+
+        if (count > limit) {
+          res.set("Retry-After", String(retryAfter));
+          return res.status(429).json({ error: "RATE_LIMITED", retry_after: retryAfter });
+        }
+      }
+
+      next();
+
+    } catch (err) {
+      console.error("RATE LIMIT ERROR:", err);
+      next();
     }
+  };
+}
 
-    res.json({
-      ok: true,
-      userId: user.id,
-      needsEmailConfirm: true
-    });
+/*
+=========================================================
+HELPER: GENERATE RANDOM USERNAME
+=========================================================
+*/
+function generateRandomUsername() {
+  const chars = "abcdefghijklmnopqrstuvwxyz0123456789";
+  let suffix = "";
 
-  } catch (err) {
-    console.error("SIGNUP ERROR:", err);
-    res.status(500).json({ error: err.message });
+  for (let i = 0; i < 6; i++) {
+    suffix += chars[Math.floor(Math.random() * chars.length)];
   }
-});
+
+  return `user${suffix}`;
+}
+
 
 /*
 =========================================================
-AUTH: SIGNIN
+HELPER: FIND PLAYER BY USERNAME
 =========================================================
-Blocks login if email not verified.
+- Exact username match (same rule as the uniqueness check
+  in /profile/update-username)
+- excludeId skips one player (the caller)
+- Returns { id, username, mmr } or null
 */
-app.post("/auth/signin", async (req, res) => {
-  try {
-    const { email, password } = req.body;
+async function findPlayerByUsername(db, username, excludeId = null) {
+  const result = await db.query(
+    `
+    SELECT id, username, mmr
+    FROM players
+    WHERE username = $1 AND ($2::uuid IS NULL OR id <> $2)
+    `,
+    [username, excludeId]
+  );
+  return result.rows[0] || null;
+}
 
-    if (!email || !password) {
-      return res.status(400).json({ error: "email, password required" });
-    }
 
-    const { data, error } = await supabase.auth.signInWithPassword({
-      email,
-      password
-    });
 
-    if (error) {
-      return res.status(401).json({ error: error.message });
-    }
 
-    const user = data.user;
-    const session = data.session;
+/*
+=========================================================
+HELPER: OPAQUE PAGINATION CURSORS
+=========================================================
+Cursors are base64url-encoded JSON so clients treat them
+as opaque strings. decodeCursor returns null when invalid.
+*/
+function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
 
-    // Hard block if not verified
-    if (!user.email_confirmed_at) {
-      return res.status(403).json({ error: "EMAIL_NOT_VERIFIED" });
+function decodeCursor(cursor) {
+  if (typeof cursor !== "string" || cursor.length === 0) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    return payload && typeof payload === "object" ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+/*
+=========================================================
+HELPER: PAGE SIZE FROM QUERY STRING
+=========================================================
+Returns null when the value is present but invalid.
+*/
+function parseLimit(value, defaultLimit, maxLimit) {
+  if (value === undefined) return defaultLimit;
+
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) return null;
+
+  return limit;
+}
+
+
+/*
+=========================================================
+HELPER: SERIAL ID
+=========================================================
+Ids of serial (int4) columns run 1..2147483647; anything
+outside that is rejected up front (400) instead of failing
+the query with "out of range for type integer" (500).
+*/
+const SERIAL_ID_MAX = 2147483647;
+
+function isSerialId(value) {
+  return Number.isInteger(value) && value >= 1 && value <= SERIAL_ID_MAX;
+}
+
+
+/*
+=========================================================
+HELPER: SEEDED RANDOM (mulberry32)
+=========================================================
+Deterministic PRNG so generated content (NPC lineups, etc.)
+can be reproduced from a stored 32-bit seed.
+Returns a function yielding floats in [0, 1).
+*/
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+
+  return function next() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function generateSeed() {
+  return crypto.randomInt(0, 2 ** 32);
+}
+
+
+/*
+=========================================================
+HELPER: WALLETS (MULTI-CURRENCY)
+=========================================================
+One player_wallets row per (player, currency).
+Currencies are keyed by currencies.key ('cash', 'gems', ...).
+*/
+
+// Locks a wallet row inside a transaction, creating it (balance 0)
+// when the player has none for that currency yet (currency added
+// after signup). Returns { currencyKey, currencyId, balance }, or
+// null for an unknown currency key or a missing player row.
+async function lockWallet(client, userId, currencyKey) {
+  await client.query(
+    `
+    INSERT INTO player_wallets (player_id, currency_id, balance)
+    SELECT p.id, c.id, 0
+    FROM players p
+    JOIN currencies c ON c.key = $2
+    WHERE p.id = $1
+    ON CONFLICT (player_id, currency_id) DO NOTHING
+    `,
+    [userId, currencyKey]
+  );
+
+  const result = await client.query(
+    `
+    SELECT pw.currency_id, pw.balance
+    FROM player_wallets pw
+    JOIN currencies c ON c.id = pw.currency_id
+    WHERE pw.player_id = $1 AND c.key = $2
+    FOR UPDATE OF pw
+    `,
+    [userId, currencyKey]
+  );
+
+  if (result.rowCount === 0) return null;
+
+  return {
+    currencyKey,
+    currencyId: result.rows[0].currency_id,
+    balance: Number(result.rows[0].balance)
+  };
+}
+
+/*
+Every balance change goes through applyWalletChange, which
+updates the (locked) wallet row and appends a ledger entry
+to wallet_transactions with the resulting balance.
+amount: positive = credit, negative = debit.
+*/
+const WALLET_REASONS = {
+  MATCH_REWARD: "match_reward",
+  PURCHASE: "purchase",
+  SALE_REFUND: "sale_refund",
+  NPC_UPGRADE: "npc_upgrade",
+  ITEM_UPGRADE: "item_upgrade",
+  DAILY_REWARD: "daily_reward",
+  CHALLENGE_REWARD: "challenge_reward",
+  ACHIEVEMENT_REWARD: "achievement_reward",
+  SEASON_REWARD: "season_reward",
+  SEASON_PREMIUM: "season_premium",
+  ADMIN_GRANT: "admin_grant",
+  ADMIN_REVOKE: "admin_revoke"
+};
+
+async function applyWalletChange(client, userId, wallet, amount, reason, referenceId) {
+  const newBalance = wallet.balance + amount;
+
+  await client.query(
+    `
+    UPDATE player_wallets
+    SET balance = $1
+    WHERE player_id = $2 AND currency_id = $3
+    `,
+    [newBalance, userId, wallet.currencyId]
+  );
+
+  await client.query(
+    `
+    INSERT INTO wallet_transactions (
+      player_id, currency_id, amount, balance_after, reason, reference_id
+    )
+    VALUES ($1, $2, $3, $4, $5, $6)
+    `,
+    [userId, wallet.currencyId, amount, newBalance, reason, referenceId == null ? null : String(referenceId)]
+  );
+
+  wallet.balance = newBalance;
+  return newBalance;
+}
+
+// { cash: 120, gems: 0, ... } for every active currency
+// (0 when the player has no wallet row for it yet).
+// Returns null when the cash wallet is missing (broken account).
+async function loadWalletBalances(db, userId) {
+  const result = await db.query(
+    `
+    SELECT c.key, pw.balance
+    FROM currencies c
+    LEFT JOIN player_wallets pw ON pw.currency_id = c.id AND pw.player_id = $1
+    WHERE c.is_active = true
+    ORDER BY c.id
+    `,
+    [userId]
+  );
+
+  const balances = {};
+  for (const row of result.rows) {
+    if (row.key === "cash" && row.balance === null) return null;
+    balances[row.key] = Number(row.balance ?? 0);
+  }
+  return balances;
+}
+
+function notEnoughFundsError(currencyKey) {
+  return {
+    error: currencyKey === "cash" ? "NOT_ENOUGH_CASH" : "NOT_ENOUGH_CURRENCY",
+    currency: currencyKey
+  };
+}
+
+/*
+Item price from item_defs.base_props:
+- price: { gems: 50 } or { cash: 100, gems: 5 }
+- falls back to price_cash -> { cash: price_cash }
+Returns null when missing or invalid (non-integer / negative).
+*/
+function itemPrice(baseProps) {
+  return parsePrice(baseProps?.price ?? (
+    baseProps?.price_cash !== undefined ? { cash: baseProps.price_cash } : null
+  ));
+}
+
+// Validates a { currencyKey: amount } price object, null when invalid
+function parsePrice(price) {
+  if (!price || typeof price !== "object" || Array.isArray(price)) return null;
+
+  const entries = Object.entries(price);
+  if (entries.length === 0) return null;
+
+  for (const [, amount] of entries) {
+    if (!Number.isInteger(amount) || amount < 0) return null;
+  }
+
+  return price;
+}
+
+
+/*
+=========================================================
+HELPER: GRANT REWARD
+=========================================================
+Reward shapes (used by daily rewards and other reward tables):
+- { currency: "cash", amount: 50 }
+- { item_def_key: "weapon_smg_basic", quantity?: 1 }
+Runs inside the caller's transaction. Returns what was granted:
+- { currency, amount, balance }
+- { item_def_key, player_item_ids: [...] }
+*/
+function isValidReward(reward) {
+  if (!reward || typeof reward !== "object") return false;
+
+  if (reward.currency !== undefined) {
+    return typeof reward.currency === "string" &&
+      Number.isInteger(reward.amount) && reward.amount > 0;
+  }
+
+  if (reward.item_def_key !== undefined) {
+    return typeof reward.item_def_key === "string" &&
+      (reward.quantity === undefined || (Number.isInteger(reward.quantity) && reward.quantity > 0));
+  }
+
+  return false;
+}
+
+async function grantReward(client, userId, reward, reason, referenceId) {
+  if (reward.currency !== undefined) {
+    const wallet = await lockWallet(client, userId, reward.currency);
+
+    if (!wallet) {
+      throw new Error("BROKEN_ACCOUNT_STATE");
     }
 
-    // Update last login timestamp
-    await pool.query(
-      "UPDATE players SET last_login_at = NOW() WHERE id = $1",
-      [user.id]
+    const balance = await applyWalletChange(client, userId, wallet, reward.amount, reason, referenceId);
+
+    return { currency: reward.currency, amount: reward.amount, balance };
+  }
+
+  const itemDef = await client.query(
+    `SELECT id FROM item_defs WHERE key = $1`,
+    [reward.item_def_key]
+  );
+
+  if (itemDef.rowCount === 0) {
+    throw new Error("REWARD_ITEM_NOT_FOUND");
+  }
+
+  const playerItemIds = [];
+
+  for (let i = 0; i < (reward.quantity || 1); i++) {
+    const insertItem = await client.query(
+      `
+      INSERT INTO player_items (player_id, item_def_id)
+      VALUES ($1, $2)
+      RETURNING id
+      `,
+      [userId, itemDef.rows[0].id]
     );
 
-    res.json({
-      ok: true,
-      access_token: session.access_token,
-      refresh_token: session.refresh_token,
-      expires_in: session.expires_in,
-      user: {
-        id: user.id,
-        email: user.email,
-        email_confirmed_at: user.email_confirmed_at
+    playerItemIds.push(insertItem.rows[0].id);
+  }
+
+  return { item_def_key: reward.item_def_key, player_item_ids: playerItemIds };
+}
+
+
+/*
+=========================================================
+HELPER: EQUIPMENT SLOTS
+=========================================================
+Every player has one player_equipment row per slot.
+item_defs.equip_slots declares which slots an item fits.
+*/
+const EQUIPMENT_SLOTS = ["weapon_primary", "weapon_secondary", "armor", "gadget"];
+
+// Returns { slot: { player_item_id, item_def_key } } for every slot,
+// or null when the player has no equipment rows at all
+async function loadEquipmentMap(db, userId) {
+  const result = await db.query(
+    `
+    SELECT pe.slot, pe.player_item_id, idf.key AS item_def_key
+    FROM player_equipment pe
+    LEFT JOIN player_items pi ON pi.id = pe.player_item_id
+    LEFT JOIN item_defs idf ON idf.id = pi.item_def_id
+    WHERE pe.player_id = $1
+    `,
+    [userId]
+  );
+
+  if (result.rowCount === 0) return null;
+
+  const equipment = {};
+
+  for (const slot of EQUIPMENT_SLOTS) {
+    equipment[slot] = { player_item_id: null, item_def_key: null };
+  }
+
+  for (const row of result.rows) {
+    if (!equipment[row.slot]) continue;
+
+    equipment[row.slot] = {
+      player_item_id: row.player_item_id || null,
+      item_def_key: row.item_def_key || null
+    };
+  }
+
+  return equipment;
+}
+
+
+/*
+=========================================================
+HELPER: CREATE PLAYER ROWS AFTER AUTH SIGNUP
+=========================================================
+We use the Supabase Auth user.id as players.id
+*/
+async function createPlayerRows(userId) {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+	
+	// ---------- Generate unique username ----------
+    let username;
+    let attempts = 0;
+
+    while (true) {
+      username = generateRandomUsername();
+
+      const exists = await client.query(
+        `SELECT 1 FROM players WHERE username = $1 LIMIT 1`,
+        [username]
+      );
+
+      if (exists.rowCount === 0) break;
+
+      attempts++;
+      if (attempts > 10) {
+        throw new Error("USERNAME_GENERATION_FAILED");
       }
-    });
+    }
+
+    // 1) players
+    await client.query(
+      `INSERT INTO players (id, username)
+       VALUES ($1, $2)`,
+      [userId, username]
+    );
+
+    // 2) player_stats
+    await client.query(
+      `INSERT INTO player_stats (player_id)
+       VALUES ($1)`,
+      [userId]
+    );
+
+    // 3) player_wallets (every currency, starting balance = 0)
+    const wallets = await client.query(
+      `INSERT INTO player_wallets (player_id, currency_id, balance)
+       SELECT $1, c.id, 0 FROM currencies c
+       RETURNING currency_id`,
+      [userId]
+    );
+
+    const cashCurrency = await client.query(
+      `SELECT id FROM currencies WHERE key = 'cash' LIMIT 1`
+    );
+
+    if (
+      cashCurrency.rowCount === 0 ||
+      !wallets.rows.some(row => row.currency_id === cashCurrency.rows[0].id)
+    ) {
+      throw new Error("CASH_CURRENCY_NOT_FOUND");
+    }
+
+    // 4) player_npcs
+    await client.query(
+      `INSERT INTO player_npcs (player_id, strength, perception, agility)
+       VALUES ($1, 1, 1, 1)`,
+      [userId]
+    );
+	
+    // 5) player_equipment (one empty row per slot)
+	await client.query(`
+	  INSERT INTO player_equipment (player_id, slot, player_item_id)
+	  SELECT $1, slot, NULL FROM unnest($2::text[]) AS slot
+	`, [userId, EQUIPMENT_SLOTS]);
+
+    await client.query("COMMIT");
+	
+	return username; // log username
 
   } catch (err) {
-    console.error("SIGNIN ERROR:", err);
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+
+
+
+
+
+
+
+
+/*
+=========================================================
+HEALTH CHECK
+=========================================================
+Used to confirm:
+- Render is running
+- DB connection works
+*/
+app.get("/ping", async (req, res) => {
+  try {
+    const result = await pool.query("SELECT 1 as ok");
+    res.json(result.rows);
+  } catch (err) {
+    console.error("DB ERROR:", err);
     res.status(500).json({ error: err.message });
   }
 });
 
 /*
 =========================================================
-AUTH: REFRESH SESSION
+AUTH: SIGNUP
 =========================================================
-Used for silent auto-login.
+1. Creates Supabase Auth user
+2. Inserts into players table
+3. Inserts into player_stats table
+4. Email confirmation required (configured in Supabase)
 */
-app.post("/auth/refresh", async (req, res) => {
+app.post("/auth/signup", rateLimit("auth/signup"), async (req, res) => {
   try {
-    const { refresh_token } = req.body;
+    const { email, password, username } = req.body;
+
+    if (!email || !password || !username) {
+      return res.status(400).json({
+        error: "email, password, username required"
+      });
+    }
+
+    // Create Supabase auth user
+    const { data, error } = await supabase.auth.signUp({
+      email,
+      password
+    });
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const user = data.user;
+
+    if (!user || !user.id) {
+      return res.status(500).json({ error: "Auth user not created" });
+    }
+
+    try {
+      // Initialize DB rows (transaction)
+      await createPlayerRows(user.id, username);
+
+    } catch (dbError) {
+      console.error("DB INIT FAILED:", dbError);
+
+      // STRICT MODE: delete auth user
+      await supabaseAdmin.auth.admin.deleteUser(user.id);
+
+      return res.status(500).json({
+        error: "ACCOUNT_INIT_FAILED"
+      });
+    }
+
+    res.json({
+      ok: true,
+      userId: user.id,
+      needsEmailConfirm: true
+    });
+
+  } catch (err) {
+    console.error("SIGNUP ERROR:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/*
+=========================================================
+AUTH: SIGNIN
+=========================================================
+Blocks login if email not verified.
+*/
+app.post("/auth/signin", rateLimit("auth/signin"), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: "email, password required" });
+    }
+
+    const { data, error } = await supabase.auth.signInWithPassword({
+      email,
+      password
+    });
+
+    if (error) {
+      return res.status(401).json({ error: error.message });
+    }
+
+    const user = data.user;
+    const session = data.session;
+
+    // Hard block if not verified
+    if (!user.email_confirmed_at) {
+      return res.status(403).json({ error: "EMAIL_NOT_VERIFIED" });
+    }
+
+    const sanction = await loadActiveSanction(pool, user.id);
+    if (sanction) {
+      return res.status(403).json(sanctionError(sanction));
+    }
+
+    // Update last login timestamp
+    await pool.query(
+      "UPDATE players SET last_login_at = NOW() WHERE id = $1",
+      [user.id]
+    );
+
+    res.json({
+      ok: true,
+      access_token: session.access_token,
+      refresh_token: session.refresh_token,
+      expires_in: session.expires_in,
+      user: {
+        id: user.id,
+        email: user.email,
+        email_confirmed_at: user.email_confirmed_at
+      }
+    });
+
+  } catch (err) {
+    console.error("SIGNIN ERROR:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/*
+=========================================================
+AUTH: REFRESH SESSION
+=========================================================
+Used for silent auto-login.
+*/
+app.post("/auth/refresh", rateLimit("auth/refresh"), async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({ error: "refresh_token required" });
+    }
+
+    const { data, error } = await supabase.auth.refreshSession({
+      refresh_token
+    });
+
+    if (error) {
+      return res.status(401).json({ error: error.message });
+    }
+
+    res.json({
+      ok: true,
+      access_token: data.session.access_token,
+      refresh_token: data.session.refresh_token,
+      expires_in: data.session.expires_in,
+      user: {
+        id: data.user.id,
+        email: data.user.email,
+        email_confirmed_at: data.user.email_confirmed_at
+      }
+    });
+
+  } catch (err) {
+    console.error("REFRESH ERROR:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/*
+=========================================================
+AUTH: REQUEST PASSWORD RESET
+=========================================================
+Sends email with redirect to Make.com reset page.
+*/
+app.post("/auth/request-password-reset", rateLimit("auth/request-password-reset"), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: "email required" });
+    }
+
+    const { error } = await supabase.auth.resetPasswordForEmail(email, {
+      redirectTo: "https://hook.eu2.make.com/a6q4mncxc59oqmqwad20urj27oo2lfva"
+    });
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ ok: true });
+
+  } catch (err) {
+    console.error("RESET REQUEST ERROR:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/*
+=========================================================
+AUTH: SET NEW PASSWORD
+=========================================================
+Called from Make.com reset page.
+Uses access_token provided in email link.
+*/
+app.post("/auth/set-password", rateLimit("auth/set-password"), async (req, res) => {
+  console.log("SET PASSWORD BODY:", req.body);
+
+  try {
+    const { access_token, refresh_token, new_password } = req.body;
+
+    if (!access_token || !refresh_token || !new_password) {
+      return res.status(400).json({
+        error: "access_token, refresh_token and new_password required"
+      });
+    }
+
+    const supabaseUser = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_ANON_KEY
+    );
+
+    // Establish session from recovery tokens
+    const { error: sessionError } = await supabaseUser.auth.setSession({
+      access_token,
+      refresh_token
+    });
+
+    if (sessionError) {
+      console.error("SESSION ERROR:", sessionError);
+      return res.status(400).json({ error: sessionError.message });
+    }
+
+    // Update password
+    const { error: updateError } = await supabaseUser.auth.updateUser({
+      password: new_password
+    });
+
+    if (updateError) {
+      console.error("UPDATE ERROR:", updateError);
+      return res.status(400).json({ error: updateError.message });
+    }
+
+    res.json({ ok: true });
+
+  } catch (err) {
+    console.error("SET PASSWORD ERROR:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+
+/*
+=========================================================
+MMR RATING
+=========================================================
+- Applied once per settled match inside /match-result
+- Rating math lives in lib/mmr.js (tested in test/mmr.test.js)
+- MMR_ALGORITHM selects an entry of MMR_ALGORITHMS
+- MMR_K_FACTOR scales the size of every change
+- Invalid numeric MMR_* values fall back to the defaults
+*/
+const { MATCH_MAX_PLACEMENT, createMmrRating, mmrOptionsFromEnv } = require("./lib/mmr");
+
+const { isTopN, placementRewardCash } = require("./lib/placement");
+
+const mmrRating = createMmrRating(mmrOptionsFromEnv(process.env));
+const { ratingToNpcSkill, computeFieldRating, computeMmrChange } = mmrRating;
+
+
+/*
+=========================================================
+NPC LINEUP
+=========================================================
+Pure function of (seed, player mmr, weapon catalog):
+- enemy count: uniform in [MATCH_NPC_COUNT_MIN, MATCH_NPC_COUNT_MAX]
+- skill: normal around the skill matching the player's mmr
+  (ratingToNpcSkill), MATCH_NPC_SKILL_SPREAD std dev,
+  clamped to 1..100
+- weapon: uniform over active weapon item_defs (ordered by id)
+- Invalid MATCH_NPC_COUNT_* values (not a whole number in
+  1..MATCH_MAX_PLACEMENT-1, or MIN > MAX) fall back to the
+  defaults with a warning, like the MMR_* settings
+*/
+const MATCH_NPC_COUNT_DEFAULTS = { min: 3, max: 6 };
+
+function npcCountRangeFromEnv(env) {
+  const read = (name, fallback) => {
+    const raw = env[name];
+    if (raw === undefined || raw === "") return fallback;
+
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < 1 || value >= MATCH_MAX_PLACEMENT) {
+      console.warn(`Invalid ${name}=${JSON.stringify(raw)}, using ${fallback}`);
+      return fallback;
+    }
+
+    return value;
+  };
+
+  const min = read("MATCH_NPC_COUNT_MIN", MATCH_NPC_COUNT_DEFAULTS.min);
+  const max = read("MATCH_NPC_COUNT_MAX", MATCH_NPC_COUNT_DEFAULTS.max);
+
+  if (min > max) {
+    console.warn(
+      `Invalid MATCH_NPC_COUNT_MIN=${min} > MATCH_NPC_COUNT_MAX=${max}, ` +
+      `using ${MATCH_NPC_COUNT_DEFAULTS.min}..${MATCH_NPC_COUNT_DEFAULTS.max}`
+    );
+    return MATCH_NPC_COUNT_DEFAULTS;
+  }
+
+  return { min, max };
+}
+
+const {
+  min: MATCH_NPC_COUNT_MIN,
+  max: MATCH_NPC_COUNT_MAX
+} = npcCountRangeFromEnv(process.env);
+const MATCH_NPC_SKILL_SPREAD = Number(process.env.MATCH_NPC_SKILL_SPREAD) || 12;
+
+async function loadLineupWeapons() {
+  const result = await pool.query(
+    `
+    SELECT id, key, base_props
+    FROM item_defs
+    WHERE is_active = true
+      AND category = 'weapon'
+    ORDER BY id
+    `
+  );
+
+  return result.rows;
+}
+
+function generateNpcLineup({ seed, mmr, weapons }) {
+  const random = createSeededRandom(seed);
+
+  const count = MATCH_NPC_COUNT_MIN +
+    Math.floor(random() * (MATCH_NPC_COUNT_MAX - MATCH_NPC_COUNT_MIN + 1));
+
+  const meanSkill = ratingToNpcSkill(mmr);
+
+  const npcs = [];
+
+  for (let i = 0; i < count; i++) {
+    // Box-Muller transform (1 - random() avoids log(0))
+    const gaussian =
+      Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+    const skill = Math.min(100, Math.max(1,
+      Math.round(meanSkill + gaussian * MATCH_NPC_SKILL_SPREAD)
+    ));
+
+    const weapon = weapons[Math.floor(random() * weapons.length)];
+
+    npcs.push({
+      skill,
+      weapon: weapon.key,
+      item_def_id: weapon.id,
+      base_props: weapon.base_props
+    });
+  }
+
+  return npcs;
+}
+
+
+/*
+=========================================================
+MATCH CONFIG
+=========================================================
+- Auth required (JWT)
+- Opens a match session owned by req.userId
+- Generates the NPC lineup server-side (see NPC LINEUP)
+- Stores seed, player mmr snapshot, lineup and field rating
+  with the session so the lineup can be reproduced
+- Session expires after MATCH_SESSION_TTL_MINUTES
+- The returned matchId must be sent back to /match-result
+*/
+const MATCH_SESSION_TTL_MINUTES = Number(process.env.MATCH_SESSION_TTL_MINUTES) || 30;
+
+app.get("/match-config", requireAuth, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const matchId = uuidv4();
+
+    const playerResult = await pool.query(
+      "SELECT mmr FROM players WHERE id = $1",
+      [userId]
+    );
+
+    if (playerResult.rowCount === 0) {
+      return res.status(500).json({ error: "BROKEN_ACCOUNT_STATE" });
+    }
+
+    const mmr = Number(playerResult.rows[0].mmr);
+    const weapons = await loadLineupWeapons();
+
+    if (weapons.length === 0) {
+      throw new Error("NO_ACTIVE_WEAPONS");
+    }
+
+    const seed = generateSeed();
+    const npcs = generateNpcLineup({ seed, mmr, weapons });
+
+    const sessionResult = await pool.query(
+      `
+      INSERT INTO match_sessions (
+        id, player_id, started_at, expires_at,
+        seed, player_mmr, npcs, field_rating
+      )
+      VALUES ($1, $2, NOW(), NOW() + make_interval(mins => $3), $4, $5, $6, $7)
+      RETURNING started_at, expires_at
+      `,
+      [
+        matchId,
+        userId,
+        MATCH_SESSION_TTL_MINUTES,
+        seed,
+        mmr,
+        JSON.stringify(npcs),
+        computeFieldRating(npcs)
+      ]
+    );
+
+    const session = sessionResult.rows[0];
+
+    res.json({
+      matchId,
+      seed,
+      started_at: session.started_at,
+      expires_at: session.expires_at,
+      npcs,
+    });
+  } catch (err) {
+    console.error("MATCH CONFIG ERROR:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+/*
+=========================================================
+ACCOUNT XP + LEVELS
+=========================================================
+- XP is earned only in /match-result and never spent
+  (separate from cash)
+- xp = ACCOUNT_XP_PER_MATCH + kills*ACCOUNT_XP_PER_KILL
+       + (win ? ACCOUNT_XP_WIN_BONUS : 0)
+       + top-10 bonus (ACCOUNT_XP_TOP10_BONUS)
+- Level L -> L+1 costs
+  ACCOUNT_LEVEL_XP_BASE * ACCOUNT_LEVEL_XP_GROWTH^(L-1)
+- Only players.xp is stored; level is derived
+- The same xp feeds the active season pass (see SEASON PASS)
+*/
+const ACCOUNT_XP_PER_MATCH = Number(process.env.ACCOUNT_XP_PER_MATCH) || 50;
+const ACCOUNT_XP_PER_KILL = Number(process.env.ACCOUNT_XP_PER_KILL) || 10;
+const ACCOUNT_XP_WIN_BONUS = Number(process.env.ACCOUNT_XP_WIN_BONUS) || 100;
+const ACCOUNT_XP_TOP10_BONUS = Number(process.env.ACCOUNT_XP_TOP10_BONUS) || 25;
+const ACCOUNT_LEVEL_XP_BASE = Number(process.env.ACCOUNT_LEVEL_XP_BASE) || 200;
+const ACCOUNT_LEVEL_XP_GROWTH = Number(process.env.ACCOUNT_LEVEL_XP_GROWTH) || 1.15;
+const ACCOUNT_MAX_LEVEL = Number(process.env.ACCOUNT_MAX_LEVEL) || 100;
+
+// Top 10 on the 100-player scale (lib/placement.js), so last place
+// in a small field never earns the bonus
+function matchXp({ kills, placement, win, fieldSize }) {
+  return ACCOUNT_XP_PER_MATCH +
+    kills * ACCOUNT_XP_PER_KILL +
+    (win ? ACCOUNT_XP_WIN_BONUS : 0) +
+    (isTopN(placement, fieldSize, 10) ? ACCOUNT_XP_TOP10_BONUS : 0);
+}
+
+function levelXpCost(level) {
+  return Math.round(ACCOUNT_LEVEL_XP_BASE * Math.pow(ACCOUNT_LEVEL_XP_GROWTH, level - 1));
+}
+
+// { xp, level, xp_into_level, xp_to_next_level (null at max) }
+function accountProgress(xp) {
+  const total = Number(xp);
+  let level = 1;
+  let remaining = total;
+
+  while (level < ACCOUNT_MAX_LEVEL && remaining >= levelXpCost(level)) {
+    remaining -= levelXpCost(level);
+    level++;
+  }
+
+  return {
+    xp: total,
+    level,
+    xp_into_level: remaining,
+    xp_to_next_level: level < ACCOUNT_MAX_LEVEL ? levelXpCost(level) - remaining : null
+  };
+}
+
+
+
+
+
+
+
+
+/*
+=========================================================
+MATCH PLAUSIBILITY
+=========================================================
+Server-side checks for /match-result.
+- Hard rule: kills cannot exceed the session's NPC count
+  (400 KILLS_EXCEED_NPCS)
+- Soft rules flag the result for review (match_reviews):
+  - too_short: less than MATCH_MIN_DURATION_SECONDS between
+    /match-config and /match-result
+  - rate_exceeded: MATCH_MAX_RESULTS_PER_HOUR or more results
+    already settled in the last hour
+  - kill_rate_outlier: kills per minute more than
+    MATCH_OUTLIER_Z_SCORE standard deviations above the mean of
+    recent matches (population stats, refreshed every
+    MATCH_OUTLIER_STATS_TTL_MS, skipped below
+    MATCH_OUTLIER_MIN_SAMPLES)
+- MATCH_WITHHOLD_FLAGGED_REWARDS=true: flagged results are
+  settled without any progression (cash, stats, mmr, xp,
+  challenges, achievements); an admin clearing the review
+  pays out the withheld cash only (/admin/match-reviews)
+*/
+const MATCH_MIN_DURATION_SECONDS = Number(process.env.MATCH_MIN_DURATION_SECONDS) || 60;
+const MATCH_MAX_RESULTS_PER_HOUR = Number(process.env.MATCH_MAX_RESULTS_PER_HOUR) || 12;
+const MATCH_OUTLIER_Z_SCORE = Number(process.env.MATCH_OUTLIER_Z_SCORE) || 4;
+const MATCH_OUTLIER_WINDOW_DAYS = Number(process.env.MATCH_OUTLIER_WINDOW_DAYS) || 7;
+const MATCH_OUTLIER_MIN_SAMPLES = Number(process.env.MATCH_OUTLIER_MIN_SAMPLES) || 100;
+const MATCH_OUTLIER_STATS_TTL_MS = Number(process.env.MATCH_OUTLIER_STATS_TTL_MS) || 10 * 60 * 1000;
+const MATCH_WITHHOLD_FLAGGED_REWARDS = process.env.MATCH_WITHHOLD_FLAGGED_REWARDS === "true";
+
+const MATCH_FLAGS = {
+  TOO_SHORT: "too_short",
+  RATE_EXCEEDED: "rate_exceeded",
+  KILL_RATE_OUTLIER: "kill_rate_outlier"
+};
+
+// { mean, stddev, samples, loadedAt } of kills per minute, shared by all requests
+let killRateStats = null;
+
+async function loadKillRateStats(db) {
+  if (killRateStats && Date.now() - killRateStats.loadedAt < MATCH_OUTLIER_STATS_TTL_MS) {
+    return killRateStats;
+  }
+
+  const result = await db.query(
+    `
+    SELECT
+      AVG(pm.kills / GREATEST(pm.duration_seconds / 60.0, 1.0 / 60)) AS mean,
+      STDDEV_SAMP(pm.kills / GREATEST(pm.duration_seconds / 60.0, 1.0 / 60)) AS stddev,
+      COUNT(*)::int AS samples
+    FROM player_matches pm
+    WHERE pm.settled_at > NOW() - make_interval(days => $1)
+      AND pm.duration_seconds IS NOT NULL
+      AND pm.flags = '{}'
+    `,
+    [MATCH_OUTLIER_WINDOW_DAYS]
+  );
+
+  const row = result.rows[0];
+
+  killRateStats = {
+    mean: Number(row.mean) || 0,
+    stddev: Number(row.stddev) || 0,
+    samples: row.samples,
+    loadedAt: Date.now()
+  };
+
+  return killRateStats;
+}
+
+// Returns the soft-rule flags for one result (empty = clean)
+async function evaluateMatchPlausibility(client, userId, { kills, durationSeconds }) {
+  const flags = [];
+
+  if (durationSeconds < MATCH_MIN_DURATION_SECONDS) {
+    flags.push(MATCH_FLAGS.TOO_SHORT);
+  }
+
+  const recent = await client.query(
+    `
+    SELECT COUNT(*)::int AS count
+    FROM player_matches
+    WHERE player_id = $1 AND settled_at > NOW() - INTERVAL '1 hour'
+    `,
+    [userId]
+  );
+
+  if (recent.rows[0].count >= MATCH_MAX_RESULTS_PER_HOUR) {
+    flags.push(MATCH_FLAGS.RATE_EXCEEDED);
+  }
+
+  const stats = await loadKillRateStats(client);
+
+  if (stats.samples >= MATCH_OUTLIER_MIN_SAMPLES && stats.stddev > 0) {
+    const killRate = kills / Math.max(durationSeconds / 60, 1 / 60);
+    const zScore = (killRate - stats.mean) / stats.stddev;
+
+    if (zScore > MATCH_OUTLIER_Z_SCORE) {
+      flags.push(MATCH_FLAGS.KILL_RATE_OUTLIER);
+    }
+  }
+
+  return flags;
+}
+
+
+
+
+
+
+
+
+/*
+=========================================================
+MATCH RESULT (MVP)
+=========================================================
+- Auth required (JWT)
+- Ignores client-sent playerId (uses req.userId)
+- Body: { matchId: uuid, kills: int, placement: int }
+- matchId must be an open session from /match-config
+  owned by the caller (not expired, not settled)
+- kills <= session NPC count, placement <= NPC count + 1;
+  soft plausibility rules may flag the result (see MATCH PLAUSIBILITY)
+- Withheld results (MATCH_WITHHOLD_FLAGGED_REWARDS) grant no
+  progression at all: no cash, stats, mmr, weekly leaderboard,
+  xp, season xp, challenge progress or achievements. Only the
+  session is settled and the match history / review rows written
+- win is derived: placement === 1
+- deaths rule: ONLY on loss (NPC died)
+- reward formula (locked):
+  reward = (win?200:0) + (kills*10) + max(0, 101-placement)
+  with placement scaled from 1..NPC count + 1 onto 1..100
+  (placementRewardCash in lib/placement.js); top-10 xp bonus
+  and top_n challenges use the same scale
+- mmr change: see MMR RATING
+- Transaction: settle session + update stats + add cash + mmr
+  + weekly leaderboard stats + match history row
+  + challenge progress + achievement unlocks
+  + account xp + season pass xp
+*/
+app.post("/match-result", requireAuth, rateLimit("economy"), idempotent("match-result"), async (req, res) => {
+  const userId = req.userId;
+
+  const matchId = req.body?.matchId;
+
+  if (typeof matchId !== "string" || !uuidValidate(matchId)) {
+    return res.status(400).json({ error: "INVALID_MATCH_ID" });
+  }
+
+  // Parse and validate as integers (reject floats/strings)
+  const kills = req.body?.kills;
+  const placement = req.body?.placement;
+
+  if (!Number.isInteger(kills) || !Number.isInteger(placement)) {
+    return res.status(400).json({ error: "INVALID_INPUT" });
+  }
+
+  if (kills < 0 || kills > 99) {
+    return res.status(400).json({ error: "INVALID_KILLS" });
+  }
+
+  if (placement < 1 || placement > MATCH_MAX_PLACEMENT) {
+    return res.status(400).json({ error: "INVALID_PLACEMENT" });
+  }
+
+  const win = placement === 1;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    // Lock match session (settled exactly once)
+    const sessionResult = await client.query(
+      `
+      SELECT
+        player_id,
+        settled_at,
+        field_rating,
+        expires_at <= NOW() AS expired,
+        jsonb_array_length(npcs) AS npc_count,
+        EXTRACT(EPOCH FROM NOW() - started_at)::int AS duration_seconds
+      FROM match_sessions
+      WHERE id = $1
+      FOR UPDATE
+      `,
+      [matchId]
+    );
+    if (sessionResult.rowCount === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "MATCH_NOT_FOUND" });
+    }
+
+    const session = sessionResult.rows[0];
+
+    if (session.player_id !== userId) {
+      await client.query("ROLLBACK");
+      return res.status(403).json({ error: "MATCH_NOT_OWNED" });
+    }
+    if (session.settled_at) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "MATCH_ALREADY_SETTLED" });
+    }
+    if (session.expired) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "MATCH_EXPIRED" });
+    }
+    if (kills > session.npc_count) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "KILLS_EXCEED_NPCS" });
+    }
+    if (placement > session.npc_count + 1) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "INVALID_PLACEMENT" });
+    }
+
+    // Field = NPCs + the player
+    const fieldSize = session.npc_count + 1;
+
+    const rewardCash =
+      (win ? 200 : 0) +
+      (kills * 10) +
+      placementRewardCash(placement, fieldSize);
+
+    const xpGained = matchXp({ kills, placement, win, fieldSize });
+
+    // Plausibility (soft rules)
+    const flags = await evaluateMatchPlausibility(client, userId, {
+      kills,
+      durationSeconds: session.duration_seconds
+    });
+    const rewardsWithheld = flags.length > 0 && MATCH_WITHHOLD_FLAGGED_REWARDS;
+    const paidCash = rewardsWithheld ? 0 : rewardCash;
+    const awardedXp = rewardsWithheld ? 0 : xpGained;
+
+    // Lock player row (mmr)
+    const playerRow = await client.query(
+      `SELECT mmr FROM players WHERE id = $1 FOR UPDATE`,
+      [userId]
+    );
+    if (playerRow.rowCount === 0) {
+      await client.query("ROLLBACK");
+      return res.status(500).json({ error: "BROKEN_ACCOUNT_STATE" });
+    }
+
+    // Lock stats row
+    const statsLock = await client.query(
+      `SELECT 1 FROM player_stats WHERE player_id = $1 FOR UPDATE`,
+      [userId]
+    );
+    if (statsLock.rowCount === 0) {
+      await client.query("ROLLBACK");
+      return res.status(500).json({ error: "BROKEN_ACCOUNT_STATE" });
+    }
+
+    // Lock cash wallet row
+    const wallet = await lockWallet(client, userId, "cash");
+    if (!wallet) {
+      await client.query("ROLLBACK");
+      return res.status(500).json({ error: "BROKEN_ACCOUNT_STATE" });
+    }
+
+    // Update stats (deaths ONLY on loss; untouched when withheld)
+    const statsResult = rewardsWithheld ? null : await client.query(
+      `
+      UPDATE player_stats
+      SET
+        matches_played = matches_played + 1,
+        wins = wins + $1,
+        kills = kills + $2,
+        deaths = deaths + $3
+      WHERE player_id = $4
+      RETURNING matches_played, wins, kills, deaths
+      `,
+      [
+        win ? 1 : 0,
+        kills,
+        win ? 0 : 1,
+        userId
+      ]
+    );
+
+    // Add cash (unless withheld for review)
+    const newBalance = rewardsWithheld
+      ? wallet.balance
+      : await applyWalletChange(
+        client,
+        userId,
+        wallet,
+        paidCash,
+        WALLET_REASONS.MATCH_REWARD,
+        matchId
+      );
+
+    // Update mmr
+    const mmr = Number(playerRow.rows[0].mmr);
+    const mmrChange = rewardsWithheld
+      ? { before: mmr, after: mmr, delta: 0 }
+      : computeMmrChange({
+        mmr,
+        fieldRating: session.field_rating,
+        placement,
+        kills,
+        fieldSize
+      });
+
+    if (!rewardsWithheld) {
+      await client.query(
+        `UPDATE players SET mmr = $1 WHERE id = $2`,
+        [mmrChange.after, userId]
+      );
+
+      // Weekly leaderboard stats (lifetime player_stats untouched)
+      await client.query(
+        `
+        INSERT INTO player_weekly_stats (player_id, week_start, matches_played, wins, kills, mmr_gain)
+        VALUES ($1, ${CURRENT_WEEK_START_SQL}, 1, $2, $3, $4)
+        ON CONFLICT (player_id, week_start) DO UPDATE SET
+          matches_played = player_weekly_stats.matches_played + 1,
+          wins = player_weekly_stats.wins + EXCLUDED.wins,
+          kills = player_weekly_stats.kills + EXCLUDED.kills,
+          mmr_gain = player_weekly_stats.mmr_gain + EXCLUDED.mmr_gain
+        `,
+        [userId, win ? 1 : 0, kills, mmrChange.delta]
+      );
+    }
+
+    // Settle session
+    await client.query(
+      `UPDATE match_sessions SET settled_at = NOW() WHERE id = $1`,
+      [matchId]
+    );
+
+    // Record match history (snapshot of equipped weapon)
+    const weaponRow = await client.query(
+      `
+      SELECT pe.player_item_id, idf.key AS item_def_key, idf.base_props
+      FROM player_equipment pe
+      LEFT JOIN player_items pi ON pi.id = pe.player_item_id
+      LEFT JOIN item_defs idf ON idf.id = pi.item_def_id
+      WHERE pe.player_id = $1 AND pe.slot = 'weapon_primary'
+      `,
+      [userId]
+    );
+    const weapon = weaponRow.rows[0] || {};
+
+    await client.query(
+      `
+      INSERT INTO player_matches (
+        id, player_id, kills, placement, win, reward_cash,
+        mmr_before, mmr_after, mmr_delta,
+        weapon_player_item_id, weapon_item_def_key,
+        duration_seconds, flags, settled_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW())
+      `,
+      [
+        matchId,
+        userId,
+        kills,
+        placement,
+        win,
+        paidCash,
+        mmrChange.before,
+        mmrChange.after,
+        mmrChange.delta,
+        weapon.player_item_id || null,
+        weapon.item_def_key || null,
+        session.duration_seconds,
+        flags
+      ]
+    );
+
+    // Review queue for flagged results
+    if (flags.length > 0) {
+      await client.query(
+        `
+        INSERT INTO match_reviews (match_id, player_id, flags, withheld_cash)
+        VALUES ($1, $2, $3, $4)
+        `,
+        [matchId, userId, flags, rewardsWithheld ? rewardCash : 0]
+      );
+    }
+
+    // Challenge progress
+    const challengeProgress = rewardsWithheld ? [] : await advanceChallenges(client, userId, {
+      kills,
+      placement,
+      fieldSize,
+      win,
+      weapon: {
+        item_def_key: weapon.item_def_key || null,
+        base_props: weapon.base_props || null
+      }
+    });
+
+    // Account xp + season pass xp (0 when withheld)
+    const xpRow = await client.query(
+      `UPDATE players SET xp = xp + $1 WHERE id = $2 RETURNING xp`,
+      [awardedXp, userId]
+    );
+    const seasonProgress = await addSeasonXp(client, userId, awardedXp);
+
+    // Achievements (lifetime stats)
+    const achievementsUnlocked = rewardsWithheld ? [] : await evaluateAchievements(client, userId, {
+      stats: statsResult.rows[0]
+    });
+
+    const response = {
+      ok: true,
+      reward_cash: paidCash,
+      wallet: { cash: newBalance },
+      mmr: mmrChange.after,
+      mmr_delta: mmrChange.delta,
+      challenges: challengeProgress,
+      achievements_unlocked: achievementsUnlocked,
+      xp_gained: awardedXp,
+      account: accountProgress(xpRow.rows[0].xp),
+      season: seasonProgress,
+      review: flags.length > 0
+        ? { flags, rewards_withheld: rewardsWithheld, withheld_cash: rewardsWithheld ? rewardCash : 0 }
+        : null
+    };
+
+    await storeIdempotentResponse(client, res, response);
+    await client.query("COMMIT");
+
+    return res.json(response);
+
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error("MATCH RESULT ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+
+
+
+
+/*
+=========================================================
+MATCH HISTORY
+=========================================================
+- Auth required
+- One player_matches row per settled match (see /match-result)
+- GET /matches: newest first, cursor pagination
+  Query: limit 1..50 (default 20), cursor
+- GET /matches/:id: single match, owner only
+*/
+const MATCH_HISTORY_DEFAULT_LIMIT = 20;
+const MATCH_HISTORY_MAX_LIMIT = 50;
+const MATCH_HISTORY_COLUMNS = `
+  id, kills, placement, win, reward_cash,
+  mmr_before, mmr_after, mmr_delta,
+  weapon_player_item_id, weapon_item_def_key, settled_at
+`;
+
+function formatMatchRow(row) {
+  return {
+    match_id: row.id,
+    kills: row.kills,
+    placement: row.placement,
+    win: row.win,
+    reward_cash: Number(row.reward_cash),
+    mmr_before: row.mmr_before,
+    mmr_after: row.mmr_after,
+    mmr_delta: row.mmr_delta,
+    weapon: {
+      player_item_id: row.weapon_player_item_id || null,
+      item_def_key: row.weapon_item_def_key || null
+    },
+    settled_at: row.settled_at
+  };
+}
+
+app.get("/matches", requireAuth, async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const limit = parseLimit(req.query.limit, MATCH_HISTORY_DEFAULT_LIMIT, MATCH_HISTORY_MAX_LIMIT);
+    if (limit === null) {
+      return res.status(400).json({ error: "INVALID_LIMIT" });
+    }
+
+    let cursor = null;
+    if (req.query.cursor !== undefined) {
+      cursor = decodeCursor(req.query.cursor);
+
+      if (
+        !cursor ||
+        typeof cursor.t !== "string" ||
+        !Number.isFinite(Date.parse(cursor.t)) ||
+        typeof cursor.id !== "string" ||
+        !uuidValidate(cursor.id)
+      ) {
+        return res.status(400).json({ error: "INVALID_CURSOR" });
+      }
+    }
+
+    // settled_at::text keeps microseconds so the keyset cursor is exact
+    const result = await pool.query(
+      `
+      SELECT ${MATCH_HISTORY_COLUMNS}, settled_at::text AS settled_at_cursor
+      FROM player_matches
+      WHERE player_id = $1
+        AND ($2::timestamptz IS NULL OR (settled_at, id) < ($2::timestamptz, $3::uuid))
+      ORDER BY settled_at DESC, id DESC
+      LIMIT $4
+      `,
+      [userId, cursor ? cursor.t : null, cursor ? cursor.id : null, limit]
+    );
+
+    const last = result.rows[result.rows.length - 1];
+    const nextCursor = last && result.rows.length === limit
+      ? encodeCursor({ t: last.settled_at_cursor, id: last.id })
+      : null;
+
+    return res.json({
+      matches: result.rows.map(formatMatchRow),
+      next_cursor: nextCursor
+    });
+
+  } catch (err) {
+    console.error("MATCH HISTORY ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/matches/:id", requireAuth, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const matchId = req.params.id;
+
+    if (!uuidValidate(matchId)) {
+      return res.status(400).json({ error: "INVALID_MATCH_ID" });
+    }
+
+    // Foreign matches look the same as unknown ones
+    const result = await pool.query(
+      `SELECT ${MATCH_HISTORY_COLUMNS} FROM player_matches WHERE id = $1 AND player_id = $2`,
+      [matchId, userId]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "MATCH_NOT_FOUND" });
+    }
+
+    return res.json({ match: formatMatchRow(result.rows[0]) });
+
+  } catch (err) {
+    console.error("MATCH DETAIL ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+/*
+=========================================================
+HELPER: LOAD PLAYER STATE
+=========================================================
+Everything /profile returns about one player (no store):
+player, account, stats, wallet, npc, equipment, inventory.
+- Returns null when the player row does not exist
+- Throws BROKEN_ACCOUNT_STATE when a dependent row is missing
+Also used by GET /admin/players/:id.
+*/
+async function loadPlayerState(db, userId) {
+  /*
+  =========================================================
+  1) PLAYER CORE
+  =========================================================
+  */
+  const playerResult = await db.query(
+    "SELECT id, username, mmr, xp FROM players WHERE id = $1",
+    [userId]
+  );
+
+  if (playerResult.rowCount === 0) {
+    return null;
+  }
+
+  const player = playerResult.rows[0];
+
+  /*
+  =========================================================
+  2) PLAYER STATS
+  =========================================================
+  */
+  const statsResult = await db.query(
+    "SELECT matches_played, wins, kills, deaths FROM player_stats WHERE player_id = $1",
+    [userId]
+  );
+
+  if (statsResult.rowCount === 0) {
+    throw new Error("BROKEN_ACCOUNT_STATE");
+  }
+
+  const stats = statsResult.rows[0];
+
+  /*
+  =========================================================
+  3) WALLET (ALL ACTIVE CURRENCIES)
+  =========================================================
+  */
+  const wallet = await loadWalletBalances(db, userId);
+
+  if (!wallet) {
+    throw new Error("BROKEN_ACCOUNT_STATE");
+  }
+
+  /*
+  =========================================================
+  4) NPC ATTRIBUTES
+  =========================================================
+  */
+  const npcResult = await db.query(
+    "SELECT strength, perception, agility FROM player_npcs WHERE player_id = $1",
+    [userId]
+  );
+
+  if (npcResult.rowCount === 0) {
+    throw new Error("BROKEN_ACCOUNT_STATE");
+  }
+
+  const npc = npcResult.rows[0];
+
+  /*
+  =========================================================
+  5) EQUIPMENT (ALL SLOTS)
+  =========================================================
+  */
+  const equipment = await loadEquipmentMap(db, userId);
+
+  if (!equipment) {
+    throw new Error("BROKEN_ACCOUNT_STATE");
+  }
+
+  /*
+  =========================================================
+  6) INVENTORY (OWNED ITEMS)
+  =========================================================
+  */
+  const inventoryResult = await db.query(
+    `
+    SELECT
+      pi.id AS player_item_id,
+      idf.id AS item_def_id,
+      idf.key AS item_def_key,
+      pi.level,
+      pi.instance_props,
+      idf.base_props
+    FROM player_items pi
+    JOIN item_defs idf ON idf.id = pi.item_def_id
+    WHERE pi.player_id = $1
+    `,
+    [userId]
+  );
+
+  const inventory = inventoryResult.rows.map(row => ({
+    player_item_id: row.player_item_id,
+    item_def_id: row.item_def_id,
+    item_def_key: row.item_def_key,
+    level: row.level,
+    instance_props: row.instance_props || null,
+    base_props: row.base_props,
+    effective_stats: computeEffectiveStats(row.base_props, row.level),
+    next_upgrade_cost: itemUpgradeCost(row.base_props, row.level)
+  }));
+
+  return {
+    player: {
+      id: player.id,
+      username: player.username,
+      mmr: player.mmr
+    },
+    account: accountProgress(player.xp),
+    stats,
+    wallet,
+    npc: {
+      strength: npc.strength,
+      perception: npc.perception,
+      agility: npc.agility,
+      upgrade_costs: npcUpgradeCosts(npc)
+    },
+    equipment,
+    inventory
+  };
+}
+
+
+
+
+
+
+
+
+/*
+=========================================================
+PROFILE (FAT PROFILE ENDPOINT)
+Returns complete player state required by client:
+- player identity
+- stats
+- wallet
+- npc attributes
+- equipment
+- inventory
+- store catalog
+=========================================================
+*/
+app.get("/profile", requireAuth, async (req, res) => {
+  try {
+    const state = await loadPlayerState(pool, req.userId);
+
+    if (!state) {
+      return res.status(404).json({ error: "Player not found" });
+    }
+
+    /*
+    =========================================================
+    STORE CATALOG (READ-ONLY, see GET /store for bundles and offers)
+    =========================================================
+    */
+    const store = await loadStoreItems(pool);
+
+    return res.json({ ...state, store });
+
+  } catch (err) {
+    console.error("PROFILE ERROR:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+
+
+
+
+
+
+
+
+
+
+
+/*
+=========================================================
+WALLET
+=========================================================
+- Auth required
+- Balances for every active currency
+*/
+app.get("/wallet", requireAuth, async (req, res) => {
+  try {
+    const wallet = await loadWalletBalances(pool, req.userId);
+
+    if (!wallet) {
+      return res.status(500).json({ error: "BROKEN_ACCOUNT_STATE" });
+    }
+
+    return res.json({ wallet });
+
+  } catch (err) {
+    console.error("WALLET ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/*
+=========================================================
+WALLET: TRANSACTION LEDGER
+=========================================================
+- Auth required
+- Append-only history of every credit and debit
+  (see applyWalletChange / WALLET_REASONS)
+- Newest first, cursor pagination
+- Query: currency (optional key), limit 1..100 (default 50), cursor
+*/
+const WALLET_LEDGER_DEFAULT_LIMIT = 50;
+const WALLET_LEDGER_MAX_LIMIT = 100;
+
+app.get("/wallet/transactions", requireAuth, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const currencyKey = req.query.currency ?? null;
+
+    if (currencyKey !== null && typeof currencyKey !== "string") {
+      return res.status(400).json({ error: "INVALID_CURRENCY" });
+    }
+
+    const limit = parseLimit(req.query.limit, WALLET_LEDGER_DEFAULT_LIMIT, WALLET_LEDGER_MAX_LIMIT);
+    if (limit === null) {
+      return res.status(400).json({ error: "INVALID_LIMIT" });
+    }
+
+    let cursor = null;
+    if (req.query.cursor !== undefined) {
+      cursor = decodeCursor(req.query.cursor);
+
+      if (!cursor || typeof cursor.id !== "string" || !/^[0-9]+$/.test(cursor.id)) {
+        return res.status(400).json({ error: "INVALID_CURSOR" });
+      }
+    }
+
+    const result = await pool.query(
+      `
+      SELECT
+        wt.id,
+        c.key AS currency,
+        wt.amount,
+        wt.balance_after,
+        wt.reason,
+        wt.reference_id,
+        wt.created_at
+      FROM wallet_transactions wt
+      JOIN currencies c ON c.id = wt.currency_id
+      WHERE wt.player_id = $1
+        AND ($2::text IS NULL OR c.key = $2)
+        AND ($3::bigint IS NULL OR wt.id < $3::bigint)
+      ORDER BY wt.id DESC
+      LIMIT $4
+      `,
+      [userId, currencyKey, cursor ? cursor.id : null, limit]
+    );
+
+    // bigserial ids come back as strings from pg
+    const transactions = result.rows.map(row => ({
+      id: row.id,
+      currency: row.currency,
+      amount: Number(row.amount),
+      balance_after: Number(row.balance_after),
+      reason: row.reason,
+      reference_id: row.reference_id,
+      created_at: row.created_at
+    }));
+
+    const last = transactions[transactions.length - 1];
+    const nextCursor = last && transactions.length === limit
+      ? encodeCursor({ id: last.id })
+      : null;
+
+    return res.json({
+      transactions,
+      next_cursor: nextCursor
+    });
+
+  } catch (err) {
+    console.error("WALLET TRANSACTIONS ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+
+
+
+
+
+
+
+/*
+=========================================================
+STORE CATALOG
+=========================================================
+- Auth required: GET /store
+- Catalog items: every active item_defs row with a price,
+  grouped by item_defs.category
+- Discounts: store_discounts rows (percent_off) applied while
+  starts_at <= NOW() < ends_at; the best active one wins
+- Bundles: store_bundles + store_bundle_items, own price,
+  optional availability window, discountable
+- Daily offers: STORE_DAILY_OFFER_COUNT catalog items per
+  player per UTC day, chosen with a seed derived from
+  (player id, date); STORE_DAILY_OFFER_PERCENT_OFF off
+  (or the item's own discount if better).
+  offer_id = "daily:<YYYY-MM-DD>:<item_def_id>", valid only
+  on that UTC date. Changing the catalog mid-day reshuffles.
+*/
+const STORE_DAILY_OFFER_COUNT = Number(process.env.STORE_DAILY_OFFER_COUNT) || 3;
+const STORE_DAILY_OFFER_PERCENT_OFF = Number(process.env.STORE_DAILY_OFFER_PERCENT_OFF) || 20;
+
+// Best discount active right now, joined as "d"
+function activeDiscountJoin(column, target) {
+  return `
+    LEFT JOIN LATERAL (
+      SELECT sd.percent_off, sd.ends_at
+      FROM store_discounts sd
+      WHERE sd.${column} = ${target}
+        AND sd.is_active = true
+        AND sd.starts_at <= NOW()
+        AND sd.ends_at > NOW()
+      ORDER BY sd.percent_off DESC
+      LIMIT 1
+    ) d ON true
+  `;
+}
+
+// Rounds up so a discount never makes a priced item free
+function applyPercentOff(price, percentOff) {
+  if (!percentOff) return price;
+
+  const discounted = {};
+  for (const [currencyKey, amount] of Object.entries(price)) {
+    discounted[currencyKey] = Math.ceil(amount * (100 - percentOff) / 100);
+  }
+  return discounted;
+}
+
+function utcDateKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function nextUtcMidnight(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1));
+}
+
+// 32-bit seed from any string (first 4 bytes of sha256)
+function seedFromString(value) {
+  return crypto.createHash("sha256").update(value).digest().readUInt32BE(0);
+}
+
+function storeItemFromRow(row) {
+  const basePrice = itemPrice(row.base_props);
+
+  return {
+    item_def_id: row.id,
+    item_def_key: row.key,
+    category: row.category,
+    name: row.base_props?.name || row.key,
+    icon_key: row.base_props?.icon_key || null,
+    base_price: basePrice,
+    price: applyPercentOff(basePrice, row.percent_off),
+    discount: row.percent_off
+      ? { percent_off: row.percent_off, ends_at: row.discount_ends_at }
+      : null,
+    price_cash: row.base_props?.price_cash || 0
+  };
+}
+
+// Active, priced catalog items ordered by category then id
+async function loadStoreItems(db) {
+  const result = await db.query(
+    `
+    SELECT
+      idf.id,
+      idf.key,
+      idf.category,
+      idf.base_props,
+      d.percent_off,
+      d.ends_at AS discount_ends_at
+    FROM item_defs idf
+    ${activeDiscountJoin("item_def_id", "idf.id")}
+    WHERE idf.is_active = true
+    ORDER BY idf.category, idf.id
+    `
+  );
+
+  return result.rows
+    .filter(row => itemPrice(row.base_props))
+    .map(storeItemFromRow);
+}
+
+// Bundles available right now; bundleId narrows to one bundle
+async function loadStoreBundles(db, bundleId = null) {
+  const result = await db.query(
+    `
+    SELECT
+      b.id,
+      b.key,
+      b.name,
+      b.icon_key,
+      b.price,
+      b.ends_at,
+      d.percent_off,
+      d.ends_at AS discount_ends_at,
+      COALESCE(
+        json_agg(
+          json_build_object(
+            'item_def_id', bi.item_def_id,
+            'item_def_key', idf.key,
+            'quantity', bi.quantity
+          )
+          ORDER BY bi.item_def_id
+        ) FILTER (WHERE bi.item_def_id IS NOT NULL),
+        '[]'
+      ) AS items
+    FROM store_bundles b
+    LEFT JOIN store_bundle_items bi ON bi.bundle_id = b.id
+    LEFT JOIN item_defs idf ON idf.id = bi.item_def_id
+    ${activeDiscountJoin("bundle_id", "b.id")}
+    WHERE b.is_active = true
+      AND (b.starts_at IS NULL OR b.starts_at <= NOW())
+      AND (b.ends_at IS NULL OR b.ends_at > NOW())
+      AND ($1::int IS NULL OR b.id = $1)
+    GROUP BY b.id, d.percent_off, d.ends_at
+    HAVING COALESCE(bool_and(idf.is_active), true)
+    ORDER BY b.id
+    `,
+    [bundleId]
+  );
+
+  return result.rows
+    .filter(row => parsePrice(row.price) && row.items.length > 0)
+    .map(row => {
+      const basePrice = parsePrice(row.price);
+
+      return {
+        bundle_id: row.id,
+        bundle_key: row.key,
+        name: row.name || row.key,
+        icon_key: row.icon_key || null,
+        items: row.items,
+        base_price: basePrice,
+        price: applyPercentOff(basePrice, row.percent_off),
+        discount: row.percent_off
+          ? { percent_off: row.percent_off, ends_at: row.discount_ends_at }
+          : null,
+        available_until: row.ends_at
+      };
+    });
+}
+
+function pickDailyOffers(userId, dateKey, storeItems) {
+  const candidates = [...storeItems].sort((a, b) => a.item_def_id - b.item_def_id);
+  const random = createSeededRandom(seedFromString(`${userId}:${dateKey}`));
+
+  // Partial Fisher-Yates: first STORE_DAILY_OFFER_COUNT slots
+  const count = Math.min(STORE_DAILY_OFFER_COUNT, candidates.length);
+  for (let i = 0; i < count; i++) {
+    const j = i + Math.floor(random() * (candidates.length - i));
+    [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+  }
+
+  return candidates.slice(0, count).map(item => {
+    const percentOff = Math.max(STORE_DAILY_OFFER_PERCENT_OFF, item.discount?.percent_off || 0);
+
+    return {
+      offer_id: `daily:${dateKey}:${item.item_def_id}`,
+      item_def_id: item.item_def_id,
+      item_def_key: item.item_def_key,
+      category: item.category,
+      name: item.name,
+      icon_key: item.icon_key,
+      base_price: item.base_price,
+      price: applyPercentOff(item.base_price, percentOff),
+      percent_off: percentOff
+    };
+  });
+}
+
+// "daily:<YYYY-MM-DD>:<item_def_id>" -> { dateKey, itemDefId } or null
+function parseDailyOfferId(offerId) {
+  const match = typeof offerId === "string" && /^daily:(\d{4}-\d{2}-\d{2}):(\d+)$/.exec(offerId);
+  if (!match) return null;
+
+  return { dateKey: match[1], itemDefId: Number(match[2]) };
+}
+
+app.get("/store", requireAuth, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const now = new Date();
+    const dateKey = utcDateKey(now);
+
+    const items = await loadStoreItems(pool);
+    const bundles = await loadStoreBundles(pool);
+
+    const categories = [];
+    for (const item of items) {
+      let group = categories[categories.length - 1];
+
+      if (!group || group.category !== item.category) {
+        group = { category: item.category, items: [] };
+        categories.push(group);
+      }
+
+      group.items.push(item);
+    }
+
+    return res.json({
+      categories,
+      bundles,
+      daily_offers: {
+        date: dateKey,
+        ends_at: nextUtcMidnight(now),
+        offers: pickDailyOffers(userId, dateKey, items)
+      }
+    });
+
+  } catch (err) {
+    console.error("STORE CATALOG ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+
+
+
+
+
+
+
+/*
+=========================================================
+STORE: BUY
+=========================================================
+- Auth required
+- Body: exactly one of
+  { item_def_id }  catalog item at its current price
+                   (active discount applied)
+  { bundle_id }    bundle, all of its items
+  { offer_id }     today's daily offer for this player
+- Offer and discount prices are honoured only while valid
+- Allows multi-instance items
+- Every currency in the price is charged from its wallet
+- Inserts new player_items rows with the price paid
+  (bundle price split over its items, see splitPaidPrice)
+- Fully transactional
+*/
+// Share of a bundle price per item instance: even split per
+// currency, the remainder going to the first instances, so the
+// shares always add up to the price
+function splitPaidPrice(price, count) {
+  const shares = Array.from({ length: count }, () => ({}));
+
+  for (const [currencyKey, amount] of Object.entries(price)) {
+    const share = Math.floor(amount / count);
+    const remainder = amount - share * count;
+
+    shares.forEach((paid, i) => {
+      paid[currencyKey] = share + (i < remainder ? 1 : 0);
+    });
+  }
+
+  return shares;
+}
+
+app.post("/store/buy", requireAuth, rateLimit("economy"), idempotent("store/buy"), async (req, res) => {
+  const userId = req.userId;
+  const { item_def_id, bundle_id, offer_id } = req.body;
+
+  const targets = [item_def_id, bundle_id, offer_id].filter(v => v !== undefined);
+  if (targets.length !== 1) {
+    return res.status(400).json({ error: "INVALID_PURCHASE" });
+  }
+
+  if (item_def_id !== undefined && !isSerialId(item_def_id)) {
+    return res.status(400).json({ error: "INVALID_ITEM_ID" });
+  }
+
+  if (bundle_id !== undefined && !isSerialId(bundle_id)) {
+    return res.status(400).json({ error: "INVALID_BUNDLE_ID" });
+  }
+
+  const offer = offer_id !== undefined ? parseDailyOfferId(offer_id) : null;
+  if (offer_id !== undefined && !offer) {
+    return res.status(400).json({ error: "INVALID_OFFER_ID" });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    /*
+    =========================================================
+    1) RESOLVE PRICE + ITEMS TO GRANT
+    =========================================================
+    */
+    let price;
+    let grants;
+
+    if (item_def_id !== undefined) {
+      const itemResult = await client.query(
+        `
+        SELECT
+          idf.id,
+          idf.key,
+          idf.category,
+          idf.is_active,
+          idf.base_props,
+          d.percent_off,
+          d.ends_at AS discount_ends_at
+        FROM item_defs idf
+        ${activeDiscountJoin("item_def_id", "idf.id")}
+        WHERE idf.id = $1
+        `,
+        [item_def_id]
+      );
+
+      if (itemResult.rowCount === 0) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ error: "ITEM_NOT_FOUND" });
+      }
+
+      const item = itemResult.rows[0];
+
+      if (!item.is_active) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: "ITEM_INACTIVE" });
+      }
+
+      if (item.base_props?.price === undefined && item.base_props?.price_cash === undefined) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: "ITEM_NOT_FOR_SALE" });
+      }
+
+      if (!itemPrice(item.base_props)) {
+        await client.query("ROLLBACK");
+        return res.status(500).json({ error: "INVALID_PRICE" });
+      }
+
+      price = storeItemFromRow(item).price;
+      grants = [{ item_def_id: item.id, item_def_key: item.key, quantity: 1 }];
+
+    } else if (bundle_id !== undefined) {
+      const bundles = await loadStoreBundles(client, bundle_id);
+
+      if (bundles.length === 0) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ error: "BUNDLE_NOT_AVAILABLE" });
+      }
+
+      price = bundles[0].price;
+      grants = bundles[0].items;
+
+    } else {
+      if (offer.dateKey !== utcDateKey()) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: "OFFER_EXPIRED" });
+      }
+
+      const offers = pickDailyOffers(userId, offer.dateKey, await loadStoreItems(client));
+      const dailyOffer = offers.find(o => o.offer_id === offer_id);
+
+      if (!dailyOffer) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ error: "OFFER_NOT_FOUND" });
+      }
+
+      price = dailyOffer.price;
+      grants = [{ item_def_id: dailyOffer.item_def_id, item_def_key: dailyOffer.item_def_key, quantity: 1 }];
+    }
+
+    /*
+    =========================================================
+    2) LOCK WALLET ROWS (sorted by key to avoid deadlocks)
+    =========================================================
+    */
+    const wallets = [];
+
+    for (const currencyKey of Object.keys(price).sort()) {
+      const wallet = await lockWallet(client, userId, currencyKey);
+
+      if (!wallet) {
+        await client.query("ROLLBACK");
+        return res.status(500).json({ error: "BROKEN_ACCOUNT_STATE" });
+      }
+
+      if (wallet.balance < price[currencyKey]) {
+        await client.query("ROLLBACK");
+        return res.status(400).json(notEnoughFundsError(currencyKey));
+      }
+
+      wallets.push(wallet);
+    }
+
+    /*
+    =========================================================
+    3) INSERT OWNED ITEMS (MULTI-INSTANCE ALLOWED)
+    =========================================================
+    */
+    const newItems = [];
+    const instanceCount = grants.reduce((sum, grant) => sum + grant.quantity, 0);
+    const paidPrices = splitPaidPrice(price, instanceCount);
+
+    for (const grant of grants) {
+      for (let i = 0; i < grant.quantity; i++) {
+        const insertItem = await client.query(
+          `
+          INSERT INTO player_items (player_id, item_def_id, paid_price)
+          VALUES ($1, $2, $3)
+          RETURNING id
+          `,
+          [userId, grant.item_def_id, paidPrices[newItems.length]]
+        );
+
+        newItems.push({
+          player_item_id: insertItem.rows[0].id,
+          item_def_id: grant.item_def_id,
+          item_def_key: grant.item_def_key
+        });
+      }
+    }
+
+    /*
+    =========================================================
+    4) DEDUCT PRICE
+    =========================================================
+    Ledger references the new item, or the bundle.
+    */
+    const referenceId = bundle_id !== undefined
+      ? `bundle:${bundle_id}`
+      : newItems[0].player_item_id;
+
+    for (const wallet of wallets) {
+      await applyWalletChange(
+        client,
+        userId,
+        wallet,
+        -price[wallet.currencyKey],
+        WALLET_REASONS.PURCHASE,
+        referenceId
+      );
+    }
+
+    const balances = await loadWalletBalances(client, userId);
+
+    const achievementsUnlocked = await evaluateAchievements(client, userId, {
+      event: ACHIEVEMENT_EVENTS.PURCHASE
+    });
+
+    /*
+    =========================================================
+    SUCCESS RESPONSE
+    =========================================================
+    */
+    const response = {
+      ok: true,
+      price,
+      wallet: balances,
+      new_item: newItems[0],
+      new_items: newItems,
+      achievements_unlocked: achievementsUnlocked
+    };
+
+    await storeIdempotentResponse(client, res, response);
+    await client.query("COMMIT");
+
+    return res.json(response);
+
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error("STORE BUY ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+
+
+
+
+
+
+
+/*
+=========================================================
+STORE: SELL ITEM
+=========================================================
+- Auth required
+- Body: { player_item_id, unequip?: boolean }
+- Refund (configurable), per currency of the price paid
+  (player_items.paid_price, not the current list price):
+  min(paid, floor(paid * STORE_SELL_REFUND_RATE
+                  * (1 + STORE_SELL_LEVEL_BONUS * (level - 1))))
+- Rewards and admin grants were free and sell for nothing
+- Equipped items are refused (ITEM_EQUIPPED) unless
+  unequip: true, which clears the slot first
+- Deletes the player_items row
+- Fully transactional (item, equipment, wallet rows locked)
+*/
+const STORE_SELL_REFUND_RATE = Number(process.env.STORE_SELL_REFUND_RATE ?? 0.5);
+const STORE_SELL_LEVEL_BONUS = Number(process.env.STORE_SELL_LEVEL_BONUS ?? 0.25);
+
+function sellRefund(paidPrice, level) {
+  const refund = {};
+
+  for (const [currencyKey, amount] of Object.entries(paidPrice)) {
+    refund[currencyKey] = Math.min(amount, Math.floor(
+      amount * STORE_SELL_REFUND_RATE * (1 + STORE_SELL_LEVEL_BONUS * ((level || 1) - 1))
+    ));
+  }
+
+  return refund;
+}
+
+app.post("/store/sell", requireAuth, rateLimit("economy"), idempotent("store/sell"), async (req, res) => {
+  const userId = req.userId;
+  const { player_item_id, unequip } = req.body;
+
+  if (!player_item_id || typeof player_item_id !== "string" || !uuidValidate(player_item_id)) {
+    return res.status(400).json({ error: "INVALID_ITEM" });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    /*
+    =========================================================
+    1) VALIDATE OWNERSHIP + LOCK ITEM ROW
+    =========================================================
+    */
+    const itemResult = await client.query(
+      `
+      SELECT pi.level, pi.paid_price, idf.key
+      FROM player_items pi
+      JOIN item_defs idf ON idf.id = pi.item_def_id
+      WHERE pi.id = $1 AND pi.player_id = $2
+      FOR UPDATE OF pi
+      `,
+      [player_item_id, userId]
+    );
+
+    if (itemResult.rowCount === 0) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "ITEM_NOT_OWNED" });
+    }
+
+    const item = itemResult.rows[0];
+    const paidPrice = Object.keys(item.paid_price).length === 0 ? {} : parsePrice(item.paid_price);
+
+    if (!paidPrice) {
+      await client.query("ROLLBACK");
+      return res.status(500).json({ error: "INVALID_PRICE" });
+    }
+
+    const refund = sellRefund(paidPrice, item.level);
+
+    /*
+    =========================================================
+    2) LOCK EQUIPMENT ROWS HOLDING THE ITEM
+    =========================================================
+    */
+    const equippedResult = await client.query(
+      `
+      SELECT slot
+      FROM player_equipment
+      WHERE player_id = $1 AND player_item_id = $2
+      FOR UPDATE
+      `,
+      [userId, player_item_id]
+    );
+
+    const unequippedSlots = equippedResult.rows.map(row => row.slot);
+
+    if (unequippedSlots.length > 0 && unequip !== true) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "ITEM_EQUIPPED" });
+    }
+
+    /*
+    =========================================================
+    3) LOCK WALLET ROWS (sorted by key to avoid deadlocks)
+    =========================================================
+    */
+    const wallets = [];
+
+    for (const currencyKey of Object.keys(refund).sort()) {
+      const wallet = await lockWallet(client, userId, currencyKey);
+
+      if (!wallet) {
+        await client.query("ROLLBACK");
+        return res.status(500).json({ error: "BROKEN_ACCOUNT_STATE" });
+      }
+
+      wallets.push(wallet);
+    }
+
+    /*
+    =========================================================
+    4) UNEQUIP + DELETE ITEM + REFUND
+    =========================================================
+    */
+    if (unequippedSlots.length > 0) {
+      await client.query(
+        `
+        UPDATE player_equipment
+        SET player_item_id = NULL
+        WHERE player_id = $1 AND player_item_id = $2
+        `,
+        [userId, player_item_id]
+      );
+    }
+
+    await client.query(
+      `DELETE FROM player_items WHERE id = $1`,
+      [player_item_id]
+    );
+
+    for (const wallet of wallets) {
+      await applyWalletChange(
+        client,
+        userId,
+        wallet,
+        refund[wallet.currencyKey],
+        WALLET_REASONS.SALE_REFUND,
+        player_item_id
+      );
+    }
+
+    const balances = await loadWalletBalances(client, userId);
+
+    /*
+    =========================================================
+    SUCCESS RESPONSE
+    =========================================================
+    */
+    const response = {
+      ok: true,
+      refund,
+      wallet: balances,
+      sold_item: {
+        player_item_id,
+        item_def_key: item.key
+      },
+      unequipped_slots: unequippedSlots
+    };
+
+    await storeIdempotentResponse(client, res, response);
+    await client.query("COMMIT");
+
+    return res.json(response);
+
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error("STORE SELL ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+/*
+=========================================================
+EQUIPMENT: SHARED VALIDATION
+=========================================================
+Used by /equipment/equip and /equipment/unequip.
+Returns an error code, or null when the body is valid.
+*/
+function validateEquipmentBody(body, { withItem }) {
+  const { slot, player_item_id } = body;
+
+  if (!slot || typeof slot !== "string" || !EQUIPMENT_SLOTS.includes(slot)) {
+    return "INVALID_SLOT";
+  }
+
+  if (withItem && (!player_item_id || typeof player_item_id !== "string" || !uuidValidate(player_item_id))) {
+    return "INVALID_ITEM";
+  }
+
+  return null;
+}
+
+/*
+=========================================================
+EQUIPMENT: EQUIP ITEM
+=========================================================
+- Auth required
+- slot must be one of EQUIPMENT_SLOTS
+- Validates ownership
+- Validates the item fits the slot (item_defs.equip_slots)
+- One instance occupies one slot at a time: if the item is
+  already in another slot it is moved (old slot emptied)
+- Returns the full updated equipment map
+- Fully transactional (player's equipment rows locked)
+*/
+app.post("/equipment/equip", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const { slot, player_item_id } = req.body;
+
+  /*
+  =========================================================
+  1) BASIC VALIDATION
+  =========================================================
+  */
+  const validationError = validateEquipmentBody(req.body, { withItem: true });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    /*
+    =========================================================
+    2) LOCK EQUIPMENT ROWS
+    =========================================================
+    */
+    const equipmentRows = await client.query(
+      `
+      SELECT slot, player_item_id
+      FROM player_equipment
+      WHERE player_id = $1
+      FOR UPDATE
+      `,
+      [userId]
+    );
+
+    if (!equipmentRows.rows.some(row => row.slot === slot)) {
+      await client.query("ROLLBACK");
+      return res.status(500).json({ error: "BROKEN_ACCOUNT_STATE" });
+    }
+
+    /*
+    =========================================================
+    3) VALIDATE OWNERSHIP + LOAD ITEM DEF
+    =========================================================
+    */
+    const itemResult = await client.query(
+      `
+      SELECT 
+        pi.id AS player_item_id,
+        idf.equip_slots
+      FROM player_items pi
+      JOIN item_defs idf ON idf.id = pi.item_def_id
+      WHERE pi.id = $1 AND pi.player_id = $2
+      `,
+      [player_item_id, userId]
+    );
+
+    if (itemResult.rowCount === 0) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "ITEM_NOT_OWNED" });
+    }
+
+    const item = itemResult.rows[0];
+
+    if (!item.equip_slots || item.equip_slots.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "INVALID_ITEM" });
+    }
+
+    if (!item.equip_slots.includes(slot)) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "ITEM_SLOT_MISMATCH" });
+    }
+
+    /*
+    =========================================================
+    4) MOVE OUT OF ANY OTHER SLOT, THEN EQUIP
+    =========================================================
+    */
+    const movedFrom = equipmentRows.rows
+      .filter(row => row.player_item_id === player_item_id && row.slot !== slot)
+      .map(row => row.slot);
+
+    if (movedFrom.length > 0) {
+      await client.query(
+        `
+        UPDATE player_equipment
+        SET player_item_id = NULL
+        WHERE player_id = $1 AND slot = ANY($2::text[])
+        `,
+        [userId, movedFrom]
+      );
+    }
+
+    await client.query(
+      `
+      UPDATE player_equipment
+      SET player_item_id = $1
+      WHERE player_id = $2 AND slot = $3
+      `,
+      [player_item_id, userId, slot]
+    );
+
+    const equipment = await loadEquipmentMap(client, userId);
+
+    await client.query("COMMIT");
+
+    /*
+    =========================================================
+    SUCCESS
+    =========================================================
+    */
+    return res.json({
+      ok: true,
+      moved_from: movedFrom[0] || null,
+      equipment
+    });
+
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error("EQUIP ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+/*
+=========================================================
+EQUIPMENT: UNEQUIP SLOT
+=========================================================
+- Auth required
+- Body: { slot }
+- Empties the slot (no-op if already empty)
+- Returns the full updated equipment map
+*/
+app.post("/equipment/unequip", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const { slot } = req.body;
+
+  const validationError = validateEquipmentBody(req.body, { withItem: false });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const updateResult = await pool.query(
+      `
+      UPDATE player_equipment
+      SET player_item_id = NULL
+      WHERE player_id = $1 AND slot = $2
+      `,
+      [userId, slot]
+    );
+
+    if (updateResult.rowCount === 0) {
+      return res.status(500).json({ error: "BROKEN_ACCOUNT_STATE" });
+    }
+
+    const equipment = await loadEquipmentMap(pool, userId);
+
+    return res.json({ ok: true, equipment });
+
+  } catch (err) {
+    console.error("UNEQUIP ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+/*
+=========================================================
+ITEMS: UPGRADE LEVEL
+=========================================================
+- Auth required
+- Body: { player_item_id }
+- Costs and cap come from item_defs.base_props:
+  upgrade_costs: [cost 1->2, cost 2->3, ...]
+  max_level: optional, defaults to upgrade_costs.length + 1
+- Items without upgrade_costs cannot be upgraded
+- Validates ownership (same rule as /equipment/equip)
+- Fully transactional (item + wallet rows locked)
+*/
+
+/*
+Effective stats scale linearly per level above 1:
+  effective = base * (1 + per_level * (level - 1))
+Defaults below, overridable per item via base_props.level_scaling.
+fire_rate is the delay between shots, so it scales down.
+*/
+const ITEM_LEVEL_SCALING = {
+  damage: Number(process.env.ITEM_LEVEL_DAMAGE_SCALE ?? 0.1),
+  fire_rate: Number(process.env.ITEM_LEVEL_FIRE_RATE_SCALE ?? -0.03)
+};
+
+function computeEffectiveStats(baseProps, level) {
+  const scaling = { ...ITEM_LEVEL_SCALING, ...(baseProps?.level_scaling || {}) };
+  const stats = {};
+
+  for (const [stat, perLevel] of Object.entries(scaling)) {
+    const base = baseProps?.[stat];
+    if (typeof base !== "number") continue;
+
+    const value = base * (1 + perLevel * ((level || 1) - 1));
+    stats[stat] = Math.round(value * 10000) / 10000;
+  }
+
+  return stats;
+}
+
+function itemMaxLevel(baseProps) {
+  const costs = baseProps?.upgrade_costs;
+  if (!Array.isArray(costs) || costs.length === 0) return 1;
+
+  return Math.min(baseProps.max_level || costs.length + 1, costs.length + 1);
+}
+
+// null when the item is not upgradable or already at its cap
+function itemUpgradeCost(baseProps, level) {
+  if (level >= itemMaxLevel(baseProps)) return null;
+
+  const cost = baseProps.upgrade_costs[level - 1];
+  return Number.isInteger(cost) && cost >= 0 ? cost : null;
+}
+
+app.post("/items/upgrade", requireAuth, rateLimit("economy"), idempotent("items/upgrade"), async (req, res) => {
+  const userId = req.userId;
+  const { player_item_id } = req.body;
+
+  if (!player_item_id || typeof player_item_id !== "string" || !uuidValidate(player_item_id)) {
+    return res.status(400).json({ error: "INVALID_ITEM" });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    /*
+    =========================================================
+    1) VALIDATE OWNERSHIP + LOCK ITEM ROW
+    =========================================================
+    */
+    const itemResult = await client.query(
+      `
+      SELECT pi.level, idf.base_props
+      FROM player_items pi
+      JOIN item_defs idf ON idf.id = pi.item_def_id
+      WHERE pi.id = $1 AND pi.player_id = $2
+      FOR UPDATE OF pi
+      `,
+      [player_item_id, userId]
+    );
+
+    if (itemResult.rowCount === 0) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "ITEM_NOT_OWNED" });
+    }
+
+    const item = itemResult.rows[0];
+
+    if (itemMaxLevel(item.base_props) <= 1) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "ITEM_NOT_UPGRADABLE" });
+    }
+
+    if (item.level >= itemMaxLevel(item.base_props)) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "MAX_LEVEL_REACHED" });
+    }
+
+    const cost = itemUpgradeCost(item.base_props, item.level);
+
+    if (cost === null) {
+      await client.query("ROLLBACK");
+      return res.status(500).json({ error: "INVALID_PRICE" });
+    }
+
+    /*
+    =========================================================
+    2) LOCK WALLET ROW
+    =========================================================
+    */
+    const wallet = await lockWallet(client, userId, "cash");
+
+    if (!wallet) {
+      await client.query("ROLLBACK");
+      return res.status(500).json({ error: "BROKEN_ACCOUNT_STATE" });
+    }
+
+    const currentBalance = wallet.balance;
+
+    if (currentBalance < cost) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "NOT_ENOUGH_CASH" });
+    }
+
+    /*
+    =========================================================
+    3) DEDUCT CASH + RAISE LEVEL
+    =========================================================
+    */
+    const newBalance = await applyWalletChange(
+      client,
+      userId,
+      wallet,
+      -cost,
+      WALLET_REASONS.ITEM_UPGRADE,
+      player_item_id
+    );
+
+    const updatedItem = await client.query(
+      `
+      UPDATE player_items
+      SET level = level + 1
+      WHERE id = $1
+      RETURNING level
+      `,
+      [player_item_id]
+    );
+
+    const achievementsUnlocked = await evaluateAchievements(client, userId, {
+      event: ACHIEVEMENT_EVENTS.ITEM_UPGRADE
+    });
+
+    const newLevel = updatedItem.rows[0].level;
+
+    /*
+    =========================================================
+    SUCCESS RESPONSE
+    =========================================================
+    */
+    const response = {
+      ok: true,
+      cost,
+      item: {
+        player_item_id,
+        level: newLevel,
+        effective_stats: computeEffectiveStats(item.base_props, newLevel),
+        next_upgrade_cost: itemUpgradeCost(item.base_props, newLevel)
+      },
+      wallet: {
+        cash: newBalance
+      },
+      achievements_unlocked: achievementsUnlocked
+    };
+
+    await storeIdempotentResponse(client, res, response);
+    await client.query("COMMIT");
+
+    return res.json(response);
+
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error("ITEM UPGRADE ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+
+
+
+
+
+
+
+/*
+=========================================================
+NPC: UPGRADE ATTRIBUTE
+=========================================================
+- Auth required
+- Body: { attribute: "strength" | "perception" | "agility" }
+- Cost curve (configurable):
+  cost(level -> level+1) =
+    round(NPC_UPGRADE_BASE_COST * NPC_UPGRADE_COST_GROWTH^(level-1))
+- Capped at NPC_MAX_LEVEL
+- Fully transactional (wallet + npc rows locked)
+*/
+const NPC_ATTRIBUTES = ["strength", "perception", "agility"];
+const NPC_UPGRADE_BASE_COST = Number(process.env.NPC_UPGRADE_BASE_COST) || 100;
+const NPC_UPGRADE_COST_GROWTH = Number(process.env.NPC_UPGRADE_COST_GROWTH) || 1.5;
+const NPC_MAX_LEVEL = Number(process.env.NPC_MAX_LEVEL) || 10;
+
+// null when the attribute is already at the cap
+function npcUpgradeCost(level) {
+  if (level >= NPC_MAX_LEVEL) return null;
+  return Math.round(NPC_UPGRADE_BASE_COST * Math.pow(NPC_UPGRADE_COST_GROWTH, level - 1));
+}
+
+function npcUpgradeCosts(npc) {
+  const costs = {};
+  for (const attribute of NPC_ATTRIBUTES) {
+    costs[attribute] = npcUpgradeCost(npc[attribute]);
+  }
+  return costs;
+}
+
+app.post("/npc/upgrade", requireAuth, rateLimit("economy"), idempotent("npc/upgrade"), async (req, res) => {
+  const userId = req.userId;
+  const { attribute } = req.body;
+
+  if (!NPC_ATTRIBUTES.includes(attribute)) {
+    return res.status(400).json({ error: "INVALID_ATTRIBUTE" });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    /*
+    =========================================================
+    1) LOCK NPC ROW
+    =========================================================
+    */
+    const npcResult = await client.query(
+      `
+      SELECT strength, perception, agility
+      FROM player_npcs
+      WHERE player_id = $1
+      FOR UPDATE
+      `,
+      [userId]
+    );
+
+    if (npcResult.rowCount === 0) {
+      await client.query("ROLLBACK");
+      return res.status(500).json({ error: "BROKEN_ACCOUNT_STATE" });
+    }
+
+    const npc = npcResult.rows[0];
+    const cost = npcUpgradeCost(npc[attribute]);
+
+    if (cost === null) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "MAX_LEVEL_REACHED" });
+    }
+
+    /*
+    =========================================================
+    2) LOCK WALLET ROW
+    =========================================================
+    */
+    const wallet = await lockWallet(client, userId, "cash");
+
+    if (!wallet) {
+      await client.query("ROLLBACK");
+      return res.status(500).json({ error: "BROKEN_ACCOUNT_STATE" });
+    }
+
+    const currentBalance = wallet.balance;
+
+    if (currentBalance < cost) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "NOT_ENOUGH_CASH" });
+    }
+
+    /*
+    =========================================================
+    3) DEDUCT CASH + RAISE ATTRIBUTE
+    =========================================================
+    */
+    // attribute is whitelisted above (NPC_ATTRIBUTES)
+    const updatedNpc = await client.query(
+      `
+      UPDATE player_npcs
+      SET ${attribute} = ${attribute} + 1
+      WHERE player_id = $1
+      RETURNING strength, perception, agility
+      `,
+      [userId]
+    );
+
+    const newBalance = await applyWalletChange(
+      client,
+      userId,
+      wallet,
+      -cost,
+      WALLET_REASONS.NPC_UPGRADE,
+      `${attribute}:${updatedNpc.rows[0][attribute]}`
+    );
+
+    const achievementsUnlocked = await evaluateAchievements(client, userId, {
+      event: ACHIEVEMENT_EVENTS.NPC_UPGRADE
+    });
+
+    const newNpc = updatedNpc.rows[0];
+
+    /*
+    =========================================================
+    SUCCESS RESPONSE
+    =========================================================
+    */
+    const response = {
+      ok: true,
+      cost,
+      npc: {
+        strength: newNpc.strength,
+        perception: newNpc.perception,
+        agility: newNpc.agility,
+        upgrade_costs: npcUpgradeCosts(newNpc)
+      },
+      wallet: {
+        cash: newBalance
+      },
+      achievements_unlocked: achievementsUnlocked
+    };
+
+    await storeIdempotentResponse(client, res, response);
+    await client.query("COMMIT");
+
+    return res.json(response);
+
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error("NPC UPGRADE ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+
+
+
+
+
+
+
+/*
+=========================================================
+PLAYER: UPDATE USERNAME
+=========================================================
+- Validate length and format
+- Blocked-words filter (see MODERATION)
+- Check current username
+- Check uniqueness
+- Update
+*/
+app.post("/profile/update-username", requireAuth, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { username } = req.body;
+
+    /*
+    =========================================================
+    1) BASIC VALIDATION
+    =========================================================
+    */
+    if (!username || username.length < 3 || username.length > 20) {
+      return res.status(400).json({ error: "INVALID_LENGTH" });
+    }
+
+    const valid = /^[a-zA-Z0-9_]+$/.test(username);
+    if (!valid) {
+      return res.status(400).json({ error: "INVALID_FORMAT" });
+    }
+
+    if (isUsernameBlocked(username)) {
+      return res.status(400).json({ error: "USERNAME_BLOCKED" });
+    }
+
+    /*
+    =========================================================
+    2) CHECK CURRENT USERNAME
+    =========================================================
+    */
+    const current = await pool.query(
+      "SELECT username FROM players WHERE id = $1",
+      [userId]
+    );
+
+    if (current.rowCount === 0) {
+      return res.status(500).json({ error: "BROKEN_ACCOUNT_STATE" });
+    }
+
+    if (current.rows[0].username === username) {
+      return res.status(400).json({ error: "SAME_USERNAME" });
+    }
+
+    /*
+    =========================================================
+    3) CHECK UNIQUENESS
+    =========================================================
+    */
+    const existing = await findPlayerByUsername(pool, username, userId);
+
+    if (existing) {
+      return res.status(400).json({ error: "USERNAME_TAKEN" });
+    }
+
+    /*
+    =========================================================
+    4) UPDATE
+    =========================================================
+    */
+    await pool.query(
+      "UPDATE players SET username = $1 WHERE id = $2",
+      [username, userId]
+    );
+
+    return res.json({ ok: true });
+
+  } catch (err) {
+    console.error("UPDATE USERNAME ERROR:", err);
+
+    if (err.code === "23505") {
+      return res.status(400).json({ error: "USERNAME_TAKEN" });
+    }
+
+    return res.status(500).json({ error: "SERVER_ERROR" });
+  }
+});
+
+
+
+
+
+
+
+
+/*
+=========================================================
+FRIENDS
+=========================================================
+- Requests are sent by username (findPlayerByUsername)
+- friend_requests: pending requests (from -> to)
+- friendships: accepted, stored in both directions
+- player_blocks: blocker -> blocked; a block removes the
+  friendship and pending requests both ways, and no request
+  can be sent while either side blocks the other
+- A request to someone who already sent you one accepts it
+- /friends/request, /friends/accept and /friends/block lock both
+  players (lockFriendPlayers), so crossed requests (A -> B while
+  B -> A) end as one friendship and FRIENDS_MAX_COUNT holds
+  for both sides: 400 FRIEND_LIMIT_REACHED { player_id } names
+  the player who is full
+- last_seen_at = latest of last_login_at, match started,
+  match settled; online when within FRIENDS_ONLINE_WINDOW_MINUTES
+- All mutations are POST with { player_id } except
+  /friends/request { username }
+*/
+const FRIENDS_MAX_COUNT = Number(process.env.FRIENDS_MAX_COUNT) || 200;
+const FRIENDS_ONLINE_WINDOW_MINUTES = Number(process.env.FRIENDS_ONLINE_WINDOW_MINUTES) || 10;
+
+// Presence columns for a player row aliased "p"
+const PLAYER_LAST_SEEN_SQL = `
+  GREATEST(
+    p.last_login_at,
+    (SELECT MAX(ms.started_at) FROM match_sessions ms WHERE ms.player_id = p.id),
+    (SELECT MAX(pm.settled_at) FROM player_matches pm WHERE pm.player_id = p.id)
+  )
+`;
+
+function formatFriendRow(row) {
+  return {
+    player_id: row.id,
+    username: row.username,
+    mmr: row.mmr,
+    last_seen_at: row.last_seen_at,
+    online: row.last_seen_at !== null &&
+      Date.now() - new Date(row.last_seen_at).getTime() <= FRIENDS_ONLINE_WINDOW_MINUTES * 60 * 1000
+  };
+}
+
+function parseTargetPlayerId(req) {
+  const playerId = req.body?.player_id;
+  return typeof playerId === "string" && uuidValidate(playerId) ? playerId : null;
+}
+
+// true when either player blocks the other
+async function isBlockedEitherWay(db, playerA, playerB) {
+  const result = await db.query(
+    `
+    SELECT 1 FROM player_blocks
+    WHERE (player_id = $1 AND blocked_id = $2)
+       OR (player_id = $2 AND blocked_id = $1)
+    `,
+    [playerA, playerB]
+  );
+  return result.rowCount > 0;
+}
+
+async function countFriends(db, userId) {
+  const result = await db.query(
+    `SELECT COUNT(*)::int AS count FROM friendships WHERE player_id = $1`,
+    [userId]
+  );
+  return result.rows[0].count;
+}
+
+// Transaction-scoped advisory lock per player, taken in id order
+// to avoid deadlocks. Serializes friend mutations touching either
+// player until COMMIT / ROLLBACK.
+async function lockFriendPlayers(client, playerA, playerB) {
+  for (const playerId of [playerA, playerB].sort()) {
+    await client.query(
+      `SELECT pg_advisory_xact_lock(hashtext($1))`,
+      [`friends:${playerId}`]
+    );
+  }
+}
+
+// First of the players already at FRIENDS_MAX_COUNT, or null
+async function findFullFriendList(db, playerIds) {
+  for (const playerId of playerIds) {
+    if (await countFriends(db, playerId) >= FRIENDS_MAX_COUNT) return playerId;
+  }
+  return null;
+}
+
+async function insertFriendship(client, playerA, playerB) {
+  await client.query(
+    `
+    INSERT INTO friendships (player_id, friend_id)
+    VALUES ($1, $2), ($2, $1)
+    ON CONFLICT (player_id, friend_id) DO NOTHING
+    `,
+    [playerA, playerB]
+  );
+  await client.query(
+    `
+    DELETE FROM friend_requests
+    WHERE (from_player_id = $1 AND to_player_id = $2)
+       OR (from_player_id = $2 AND to_player_id = $1)
+    `,
+    [playerA, playerB]
+  );
+}
+
+app.get("/friends", requireAuth, async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const friends = await pool.query(
+      `
+      SELECT p.id, p.username, p.mmr, ${PLAYER_LAST_SEEN_SQL} AS last_seen_at
+      FROM friendships f
+      JOIN players p ON p.id = f.friend_id
+      WHERE f.player_id = $1
+      ORDER BY p.username
+      `,
+      [userId]
+    );
+
+    const requests = await pool.query(
+      `
+      SELECT
+        fr.created_at,
+        fr.to_player_id = $1 AS incoming,
+        p.id, p.username, p.mmr
+      FROM friend_requests fr
+      JOIN players p
+        ON p.id = CASE WHEN fr.to_player_id = $1 THEN fr.from_player_id ELSE fr.to_player_id END
+      WHERE fr.from_player_id = $1 OR fr.to_player_id = $1
+      ORDER BY fr.created_at DESC
+      `,
+      [userId]
+    );
+
+    const blocked = await pool.query(
+      `
+      SELECT p.id, p.username
+      FROM player_blocks b
+      JOIN players p ON p.id = b.blocked_id
+      WHERE b.player_id = $1
+      ORDER BY b.created_at DESC
+      `,
+      [userId]
+    );
+
+    const formatRequest = row => ({
+      player_id: row.id,
+      username: row.username,
+      mmr: row.mmr,
+      created_at: row.created_at
+    });
+
+    return res.json({
+      friends: friends.rows.map(formatFriendRow),
+      incoming: requests.rows.filter(row => row.incoming).map(formatRequest),
+      outgoing: requests.rows.filter(row => !row.incoming).map(formatRequest),
+      blocked: blocked.rows.map(row => ({ player_id: row.id, username: row.username }))
+    });
+
+  } catch (err) {
+    console.error("FRIENDS ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+app.post("/friends/request", requireAuth, rateLimit("friends/request"), async (req, res) => {
+  const userId = req.userId;
+  const username = req.body?.username;
+
+  if (typeof username !== "string" || username.length === 0) {
+    return res.status(400).json({ error: "INVALID_USERNAME" });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const target = await findPlayerByUsername(client, username);
+
+    if (!target) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "PLAYER_NOT_FOUND" });
+    }
+
+    if (target.id === userId) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "CANNOT_FRIEND_SELF" });
+    }
+
+    await lockFriendPlayers(client, userId, target.id);
+
+    if (await isBlockedEitherWay(client, userId, target.id)) {
+      await client.query("ROLLBACK");
+      return res.status(403).json({ error: "PLAYER_BLOCKED" });
+    }
+
+    const friendship = await client.query(
+      `SELECT 1 FROM friendships WHERE player_id = $1 AND friend_id = $2`,
+      [userId, target.id]
+    );
+
+    if (friendship.rowCount > 0) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "ALREADY_FRIENDS" });
+    }
+
+    // Their pending request to us: accept instead
+    const incoming = await client.query(
+      `
+      SELECT 1 FROM friend_requests
+      WHERE from_player_id = $1 AND to_player_id = $2
+      FOR UPDATE
+      `,
+      [target.id, userId]
+    );
+
+    // Both lists grow on accept; only ours on a new request
+    const fullPlayerId = await findFullFriendList(
+      client,
+      incoming.rowCount > 0 ? [userId, target.id] : [userId]
+    );
+
+    if (fullPlayerId) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "FRIEND_LIMIT_REACHED", player_id: fullPlayerId });
+    }
+
+    if (incoming.rowCount > 0) {
+      await insertFriendship(client, userId, target.id);
+      await client.query("COMMIT");
+
+      return res.json({ ok: true, status: "accepted", player_id: target.id });
+    }
+
+    const inserted = await client.query(
+      `
+      INSERT INTO friend_requests (from_player_id, to_player_id)
+      VALUES ($1, $2)
+      ON CONFLICT (from_player_id, to_player_id) DO NOTHING
+      `,
+      [userId, target.id]
+    );
+
+    if (inserted.rowCount === 0) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "REQUEST_ALREADY_SENT" });
+    }
+
+    await client.query("COMMIT");
+
+    return res.json({ ok: true, status: "pending", player_id: target.id });
+
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error("FRIEND REQUEST ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+app.post("/friends/accept", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const playerId = parseTargetPlayerId(req);
+
+  if (!playerId) {
+    return res.status(400).json({ error: "INVALID_PLAYER_ID" });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    if (playerId !== userId) {
+      await lockFriendPlayers(client, userId, playerId);
+    }
+
+    const request = await client.query(
+      `
+      SELECT 1 FROM friend_requests
+      WHERE from_player_id = $1 AND to_player_id = $2
+      FOR UPDATE
+      `,
+      [playerId, userId]
+    );
+
+    if (request.rowCount === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "REQUEST_NOT_FOUND" });
+    }
+
+    const fullPlayerId = await findFullFriendList(client, [userId, playerId]);
+
+    if (fullPlayerId) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "FRIEND_LIMIT_REACHED", player_id: fullPlayerId });
+    }
+
+    await insertFriendship(client, userId, playerId);
+
+    await client.query("COMMIT");
+
+    return res.json({ ok: true, player_id: playerId });
+
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error("FRIEND ACCEPT ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+app.post("/friends/decline", requireAuth, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const playerId = parseTargetPlayerId(req);
+
+    if (!playerId) {
+      return res.status(400).json({ error: "INVALID_PLAYER_ID" });
+    }
+
+    const result = await pool.query(
+      `DELETE FROM friend_requests WHERE from_player_id = $1 AND to_player_id = $2`,
+      [playerId, userId]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "REQUEST_NOT_FOUND" });
+    }
+
+    return res.json({ ok: true, player_id: playerId });
+
+  } catch (err) {
+    console.error("FRIEND DECLINE ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Removes a friend, or cancels our own pending request
+app.post("/friends/remove", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const playerId = parseTargetPlayerId(req);
+
+  if (!playerId) {
+    return res.status(400).json({ error: "INVALID_PLAYER_ID" });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const friendship = await client.query(
+      `
+      DELETE FROM friendships
+      WHERE (player_id = $1 AND friend_id = $2)
+         OR (player_id = $2 AND friend_id = $1)
+      `,
+      [userId, playerId]
+    );
+
+    const request = await client.query(
+      `DELETE FROM friend_requests WHERE from_player_id = $1 AND to_player_id = $2`,
+      [userId, playerId]
+    );
+
+    if (friendship.rowCount === 0 && request.rowCount === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "NOT_FRIENDS" });
+    }
+
+    await client.query("COMMIT");
+
+    return res.json({ ok: true, player_id: playerId });
+
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error("FRIEND REMOVE ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+app.post("/friends/block", requireAuth, async (req, res) => {
+  const userId = req.userId;
+  const playerId = parseTargetPlayerId(req);
+
+  if (!playerId) {
+    return res.status(400).json({ error: "INVALID_PLAYER_ID" });
+  }
+
+  if (playerId === userId) {
+    return res.status(400).json({ error: "CANNOT_BLOCK_SELF" });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const target = await client.query(
+      `SELECT id FROM players WHERE id = $1`,
+      [playerId]
+    );
+
+    if (target.rowCount === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "PLAYER_NOT_FOUND" });
+    }
+
+    // Same locks as request/accept, so a block can't interleave
+    // with a crossed request or an accept between the two players
+    await lockFriendPlayers(client, userId, playerId);
+
+    await client.query(
+      `
+      INSERT INTO player_blocks (player_id, blocked_id)
+      VALUES ($1, $2)
+      ON CONFLICT (player_id, blocked_id) DO NOTHING
+      `,
+      [userId, playerId]
+    );
+
+    await client.query(
+      `
+      DELETE FROM friendships
+      WHERE (player_id = $1 AND friend_id = $2)
+         OR (player_id = $2 AND friend_id = $1)
+      `,
+      [userId, playerId]
+    );
+
+    await client.query(
+      `
+      DELETE FROM friend_requests
+      WHERE (from_player_id = $1 AND to_player_id = $2)
+         OR (from_player_id = $2 AND to_player_id = $1)
+      `,
+      [userId, playerId]
+    );
+
+    await client.query("COMMIT");
+
+    return res.json({ ok: true, player_id: playerId });
+
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error("FRIEND BLOCK ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+app.post("/friends/unblock", requireAuth, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const playerId = parseTargetPlayerId(req);
+
+    if (!playerId) {
+      return res.status(400).json({ error: "INVALID_PLAYER_ID" });
+    }
+
+    const result = await pool.query(
+      `DELETE FROM player_blocks WHERE player_id = $1 AND blocked_id = $2`,
+      [userId, playerId]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "NOT_BLOCKED" });
+    }
+
+    return res.json({ ok: true, player_id: playerId });
+
+  } catch (err) {
+    console.error("FRIEND UNBLOCK ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+
+
+
+
+
+
+
+/*
+=========================================================
+DAILY REWARDS
+=========================================================
+- Auth required
+- One claim per UTC day
+- Streak: claiming the day after the previous claim adds 1,
+  a missed day resets the streak to 1
+- Reward for streak day n = DAILY_REWARD_TABLE[(n - 1) % length]
+  (table cycles after the last day)
+- Table is configurable through DAILY_REWARD_TABLE_JSON,
+  entries use the grantReward shapes
+- Claims lock the player_daily_rewards row (FOR UPDATE), so
+  concurrent claims cannot both succeed
+*/
+const DAILY_REWARD_TABLE = process.env.DAILY_REWARD_TABLE_JSON
+  ? JSON.parse(process.env.DAILY_REWARD_TABLE_JSON)
+  : [
+    { currency: "cash", amount: 50 },
+    { currency: "cash", amount: 75 },
+    { currency: "cash", amount: 100 },
+    { currency: "cash", amount: 125 },
+    { currency: "cash", amount: 150 },
+    { currency: "gems", amount: 5 },
+    { item_def_key: "weapon_smg_basic" }
+  ];
+
+if (!Array.isArray(DAILY_REWARD_TABLE) || DAILY_REWARD_TABLE.length === 0 || !DAILY_REWARD_TABLE.every(isValidReward)) {
+  throw new Error("Invalid DAILY_REWARD_TABLE_JSON");
+}
+
+function dailyRewardForStreak(streak) {
+  return DAILY_REWARD_TABLE[(streak - 1) % DAILY_REWARD_TABLE.length];
+}
+
+function yesterdayUtcDateKey(now = new Date()) {
+  return utcDateKey(new Date(now.getTime() - 24 * 60 * 60 * 1000));
+}
+
+// Streak the next claim would reach, given the stored row (or none)
+function nextDailyStreak(row, todayKey, yesterdayKey) {
+  if (!row || !row.last_claim_date) return 1;
+  if (row.last_claim_date === todayKey) return row.streak;
+  if (row.last_claim_date === yesterdayKey) return row.streak + 1;
+  return 1;
+}
+
+app.get("/daily-reward", requireAuth, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const now = new Date();
+    const todayKey = utcDateKey(now);
+    const yesterdayKey = yesterdayUtcDateKey(now);
+
+    // date as text: pg would turn a date column into a local-time Date
+    const result = await pool.query(
+      `
+      SELECT streak, last_claim_date::text AS last_claim_date
+      FROM player_daily_rewards
+      WHERE player_id = $1
+      `,
+      [userId]
+    );
+
+    const row = result.rows[0] || null;
+    const claimedToday = row?.last_claim_date === todayKey;
+    const streakAlive = claimedToday || row?.last_claim_date === yesterdayKey;
+    const nextStreak = claimedToday
+      ? row.streak + 1
+      : nextDailyStreak(row, todayKey, yesterdayKey);
+
+    return res.json({
+      today: todayKey,
+      claimed_today: claimedToday,
+      streak: streakAlive ? row.streak : 0,
+      next_streak_day: nextStreak,
+      next_reward: dailyRewardForStreak(nextStreak),
+      next_claim_at: claimedToday ? nextUtcMidnight(now) : now,
+      table: DAILY_REWARD_TABLE
+    });
+
+  } catch (err) {
+    console.error("DAILY REWARD STATUS ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+app.post("/daily-reward/claim", requireAuth, rateLimit("economy"), idempotent("daily-reward/claim"), async (req, res) => {
+  const userId = req.userId;
+  const now = new Date();
+  const todayKey = utcDateKey(now);
+  const yesterdayKey = yesterdayUtcDateKey(now);
+
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    /*
+    =========================================================
+    1) LOCK STREAK ROW (created on first claim)
+    =========================================================
+    */
+    await client.query(
+      `
+      INSERT INTO player_daily_rewards (player_id, streak, last_claim_date, total_claims)
+      VALUES ($1, 0, NULL, 0)
+      ON CONFLICT (player_id) DO NOTHING
+      `,
+      [userId]
+    );
+
+    const result = await client.query(
+      `
+      SELECT streak, last_claim_date::text AS last_claim_date
+      FROM player_daily_rewards
+      WHERE player_id = $1
+      FOR UPDATE
+      `,
+      [userId]
+    );
+
+    const row = result.rows[0];
+
+    if (row.last_claim_date === todayKey) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({
+        error: "ALREADY_CLAIMED",
+        next_claim_at: nextUtcMidnight(now)
+      });
+    }
+
+    /*
+    =========================================================
+    2) ADVANCE STREAK + GRANT REWARD
+    =========================================================
+    */
+    const streak = nextDailyStreak(row, todayKey, yesterdayKey);
+    const reward = dailyRewardForStreak(streak);
+
+    await client.query(
+      `
+      UPDATE player_daily_rewards
+      SET streak = $1, last_claim_date = $2::date, total_claims = total_claims + 1
+      WHERE player_id = $3
+      `,
+      [streak, todayKey, userId]
+    );
+
+    const granted = await grantReward(
+      client,
+      userId,
+      reward,
+      WALLET_REASONS.DAILY_REWARD,
+      `daily:${todayKey}`
+    );
+
+    const balances = await loadWalletBalances(client, userId);
+
+    /*
+    =========================================================
+    SUCCESS RESPONSE
+    =========================================================
+    */
+    const response = {
+      ok: true,
+      streak,
+      reward,
+      granted,
+      wallet: balances,
+      next_claim_at: nextUtcMidnight(now)
+    };
+
+    await storeIdempotentResponse(client, res, response);
+    await client.query("COMMIT");
+
+    return res.json(response);
+
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error("DAILY REWARD CLAIM ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+
+
+
+
+
+
+
+/*
+=========================================================
+CHALLENGES
+=========================================================
+- Templates live in challenge_templates (designers add rows,
+  no deploy): period ("daily" | "weekly"), metric, params,
+  target, reward (grantReward shape), weight, is_active
+- Each player gets CHALLENGES_DAILY_COUNT daily and
+  CHALLENGES_WEEKLY_COUNT weekly challenges per period
+  (UTC day / UTC week starting Monday), picked by weight
+  with a seed from (player id, period, period start)
+- /match-result advances open challenges of the current
+  periods (see CHALLENGE_METRICS)
+- GET /challenges: current assignments (assigns if missing)
+- POST /challenges/:id/claim: grant reward once completed
+*/
+const CHALLENGES_DAILY_COUNT = Number(process.env.CHALLENGES_DAILY_COUNT) || 3;
+const CHALLENGES_WEEKLY_COUNT = Number(process.env.CHALLENGES_WEEKLY_COUNT) || 3;
+
+/*
+Metric -> progress increment for one match.
+match: { kills, placement, fieldSize, win, weapon: { item_def_key, base_props } }
+params come from challenge_templates.params.
+*/
+// weapon class: base_props.weapon_class, else the key segment
+// ("weapon_sniper_basic" -> "sniper")
+function weaponClass(weapon) {
+  if (weapon.base_props?.weapon_class) return weapon.base_props.weapon_class;
+  const parts = (weapon.item_def_key || "").split("_");
+  return parts[0] === "weapon" && parts[1] ? parts[1] : null;
+}
+
+function weaponMatches(weapon, params) {
+  if (params.item_def_key) return weapon.item_def_key === params.item_def_key;
+  if (params.weapon_class) return weaponClass(weapon) === params.weapon_class;
+  return weapon.item_def_key !== null;
+}
+
+const CHALLENGE_METRICS = {
+  matches_played: () => 1,
+  kills: (match) => match.kills,
+  wins: (match) => (match.win ? 1 : 0),
+  // params: { placement: 10 } -> finish top 10 on the 100-player
+  // scale (lib/placement.js), not the raw 1..fieldSize placement
+  top_n: (match, params) => (isTopN(match.placement, match.fieldSize, params.placement || 10) ? 1 : 0),
+  // params: { weapon_class: "sniper" } or { item_def_key: "..." }
+  wins_with_weapon: (match, params) => (match.win && weaponMatches(match.weapon, params) ? 1 : 0),
+  kills_with_weapon: (match, params) => (weaponMatches(match.weapon, params) ? match.kills : 0)
+};
+
+function utcWeekStartKey(date = new Date()) {
+  const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+  return utcDateKey(new Date(Date.UTC(
+    date.getUTCFullYear(),
+    date.getUTCMonth(),
+    date.getUTCDate() - daysSinceMonday
+  )));
+}
+
+function challengePeriods(now = new Date()) {
+  const weekStart = utcWeekStartKey(now);
+  const weekEnd = new Date(Date.parse(`${weekStart}T00:00:00Z`) + 7 * 24 * 60 * 60 * 1000);
+
+  return {
+    daily: { start: utcDateKey(now), ends_at: nextUtcMidnight(now), count: CHALLENGES_DAILY_COUNT },
+    weekly: { start: weekStart, ends_at: weekEnd, count: CHALLENGES_WEEKLY_COUNT }
+  };
+}
+
+// Weighted sampling without replacement
+function pickWeighted(random, candidates, count) {
+  const remaining = [...candidates];
+  const picked = [];
+
+  while (picked.length < count && remaining.length > 0) {
+    const total = remaining.reduce((sum, c) => sum + Math.max(1, c.weight || 1), 0);
+    let roll = random() * total;
+    let index = 0;
+
+    for (; index < remaining.length - 1; index++) {
+      roll -= Math.max(1, remaining[index].weight || 1);
+      if (roll < 0) break;
+    }
+
+    picked.push(remaining.splice(index, 1)[0]);
+  }
+
+  return picked;
+}
+
+// Assigns the current daily/weekly challenges if the player has none yet
+async function ensureChallengesAssigned(db, userId, now = new Date()) {
+  const periods = challengePeriods(now);
+
+  for (const [period, { start, count }] of Object.entries(periods)) {
+    const existing = await db.query(
+      `
+      SELECT 1
+      FROM player_challenges pc
+      JOIN challenge_templates ct ON ct.id = pc.template_id
+      WHERE pc.player_id = $1 AND ct.period = $2 AND pc.period_start = $3
+      LIMIT 1
+      `,
+      [userId, period, start]
+    );
+
+    if (existing.rowCount > 0) continue;
+
+    const templates = await db.query(
+      `
+      SELECT id, target, weight
+      FROM challenge_templates
+      WHERE is_active = true AND period = $1
+      ORDER BY id
+      `,
+      [period]
+    );
+
+    const random = createSeededRandom(seedFromString(`${userId}:${period}:${start}`));
+
+    for (const template of pickWeighted(random, templates.rows, count)) {
+      await db.query(
+        `
+        INSERT INTO player_challenges (player_id, template_id, period_start, target)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (player_id, template_id, period_start) DO NOTHING
+        `,
+        [userId, template.id, start, template.target]
+      );
+    }
+  }
+
+  return periods;
+}
+
+// Called inside the /match-result transaction
+async function advanceChallenges(client, userId, match) {
+  const periods = await ensureChallengesAssigned(client, userId);
+
+  const open = await client.query(
+    `
+    SELECT pc.id, pc.progress, pc.target, ct.key, ct.metric, ct.params
+    FROM player_challenges pc
+    JOIN challenge_templates ct ON ct.id = pc.template_id
+    WHERE pc.player_id = $1
+      AND pc.completed_at IS NULL
+      AND (
+        (ct.period = 'daily' AND pc.period_start = $2) OR
+        (ct.period = 'weekly' AND pc.period_start = $3)
+      )
+    FOR UPDATE OF pc
+    `,
+    [userId, periods.daily.start, periods.weekly.start]
+  );
+
+  const progressed = [];
+
+  for (const row of open.rows) {
+    const metric = CHALLENGE_METRICS[row.metric];
+    if (!metric) continue;
+
+    const increment = metric(match, row.params || {});
+    if (!increment) continue;
+
+    const progress = Math.min(row.target, row.progress + increment);
+    const completed = progress >= row.target;
+
+    await client.query(
+      `
+      UPDATE player_challenges
+      SET progress = $1, completed_at = CASE WHEN $2 THEN NOW() ELSE NULL END
+      WHERE id = $3
+      `,
+      [progress, completed, row.id]
+    );
+
+    progressed.push({
+      challenge_id: row.id,
+      key: row.key,
+      progress,
+      target: row.target,
+      completed
+    });
+  }
+
+  return progressed;
+}
+
+function formatChallengeRow(row) {
+  return {
+    challenge_id: row.id,
+    key: row.key,
+    name: row.name || row.key,
+    description: row.description || null,
+    period: row.period,
+    progress: row.progress,
+    target: row.target,
+    completed: row.completed_at !== null,
+    claimed: row.claimed_at !== null,
+    reward: row.reward
+  };
+}
+
+app.get("/challenges", requireAuth, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const periods = await ensureChallengesAssigned(pool, userId);
+
+    const result = await pool.query(
+      `
+      SELECT
+        pc.id, pc.progress, pc.target, pc.completed_at, pc.claimed_at,
+        ct.key, ct.name, ct.description, ct.period, ct.reward
+      FROM player_challenges pc
+      JOIN challenge_templates ct ON ct.id = pc.template_id
+      WHERE pc.player_id = $1
+        AND (
+          (ct.period = 'daily' AND pc.period_start = $2) OR
+          (ct.period = 'weekly' AND pc.period_start = $3)
+        )
+      ORDER BY pc.id
+      `,
+      [userId, periods.daily.start, periods.weekly.start]
+    );
+
+    const challenges = result.rows.map(formatChallengeRow);
+
+    return res.json({
+      daily: {
+        period_start: periods.daily.start,
+        ends_at: periods.daily.ends_at,
+        challenges: challenges.filter(c => c.period === "daily")
+      },
+      weekly: {
+        period_start: periods.weekly.start,
+        ends_at: periods.weekly.ends_at,
+        challenges: challenges.filter(c => c.period === "weekly")
+      }
+    });
+
+  } catch (err) {
+    console.error("CHALLENGES ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+app.post("/challenges/:id/claim", requireAuth, rateLimit("economy"), idempotent("challenges/claim"), async (req, res) => {
+  const userId = req.userId;
+  // player_challenges.id is bigint: any safe positive integer fits
+  const challengeId = /^[0-9]+$/.test(req.params.id) ? Number(req.params.id) : null;
+
+  if (!Number.isSafeInteger(challengeId) || challengeId < 1) {
+    return res.status(400).json({ error: "INVALID_CHALLENGE_ID" });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    /*
+    =========================================================
+    1) LOCK CHALLENGE ROW
+    =========================================================
+    */
+    const result = await client.query(
+      `
+      SELECT pc.completed_at, pc.claimed_at, ct.reward
+      FROM player_challenges pc
+      JOIN challenge_templates ct ON ct.id = pc.template_id
+      WHERE pc.id = $1 AND pc.player_id = $2
+      FOR UPDATE OF pc
+      `,
+      [challengeId, userId]
+    );
+
+    if (result.rowCount === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "CHALLENGE_NOT_FOUND" });
+    }
+
+    const challenge = result.rows[0];
+
+    if (!challenge.completed_at) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "CHALLENGE_NOT_COMPLETED" });
+    }
+
+    if (challenge.claimed_at) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "CHALLENGE_ALREADY_CLAIMED" });
+    }
+
+    if (!isValidReward(challenge.reward)) {
+      await client.query("ROLLBACK");
+      return res.status(500).json({ error: "INVALID_REWARD" });
+    }
+
+    /*
+    =========================================================
+    2) MARK CLAIMED + GRANT REWARD
+    =========================================================
+    */
+    await client.query(
+      `UPDATE player_challenges SET claimed_at = NOW() WHERE id = $1`,
+      [challengeId]
+    );
+
+    const granted = await grantReward(
+      client,
+      userId,
+      challenge.reward,
+      WALLET_REASONS.CHALLENGE_REWARD,
+      `challenge:${challengeId}`
+    );
+
+    const balances = await loadWalletBalances(client, userId);
+
+    const response = {
+      ok: true,
+      reward: challenge.reward,
+      granted,
+      wallet: balances
+    };
+
+    await storeIdempotentResponse(client, res, response);
+    await client.query("COMMIT");
+
+    return res.json(response);
+
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error("CHALLENGE CLAIM ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+
+
+
+
+
+
+
+/*
+=========================================================
+ACHIEVEMENTS
+=========================================================
+- Definitions live in achievement_defs:
+  - kind "stat": player_stats.<stat> >= threshold
+    (matches_played, wins, kills, deaths)
+  - kind "event": count of <event> >= threshold
+    (purchase, item_upgrade, npc_upgrade), counted in
+    player_event_counts
+  - reward (optional): grantReward shape
+- evaluateAchievements runs inside the transaction that
+  changed the stat / fired the event and returns what it
+  newly unlocked
+- GET /achievements: every active achievement with progress,
+  unlocked_at and claimable
+- POST /achievements/:key/claim: grant the reward once
+*/
+const ACHIEVEMENT_EVENTS = {
+  PURCHASE: "purchase",
+  ITEM_UPGRADE: "item_upgrade",
+  NPC_UPGRADE: "npc_upgrade"
+};
+
+function formatAchievement(row) {
+  return {
+    key: row.key,
+    name: row.name,
+    description: row.description || null,
+    reward: row.reward || null
+  };
+}
+
+/*
+Pass { stats } (fresh player_stats row) or { event }.
+Events are counted here, so call once per occurrence.
+*/
+async function evaluateAchievements(client, userId, { stats = null, event = null }) {
+  let candidates;
+
+  if (stats) {
+    candidates = await client.query(
+      `
+      SELECT ad.id, ad.key, ad.name, ad.description, ad.reward, ad.stat AS source, ad.threshold
+      FROM achievement_defs ad
+      LEFT JOIN player_achievements pa
+        ON pa.achievement_id = ad.id AND pa.player_id = $1
+      WHERE ad.is_active = true AND ad.kind = 'stat' AND pa.achievement_id IS NULL
+      `,
+      [userId]
+    );
+  } else {
+    const counter = await client.query(
+      `
+      INSERT INTO player_event_counts (player_id, event, count)
+      VALUES ($1, $2, 1)
+      ON CONFLICT (player_id, event)
+      DO UPDATE SET count = player_event_counts.count + 1
+      RETURNING count
+      `,
+      [userId, event]
+    );
+    stats = { [event]: counter.rows[0].count };
+
+    candidates = await client.query(
+      `
+      SELECT ad.id, ad.key, ad.name, ad.description, ad.reward, ad.event AS source, ad.threshold
+      FROM achievement_defs ad
+      LEFT JOIN player_achievements pa
+        ON pa.achievement_id = ad.id AND pa.player_id = $1
+      WHERE ad.is_active = true AND ad.kind = 'event' AND ad.event = $2
+        AND pa.achievement_id IS NULL
+      `,
+      [userId, event]
+    );
+  }
+
+  const unlocked = [];
+
+  for (const row of candidates.rows) {
+    if (Number(stats[row.source] || 0) < row.threshold) continue;
+
+    const inserted = await client.query(
+      `
+      INSERT INTO player_achievements (player_id, achievement_id)
+      VALUES ($1, $2)
+      ON CONFLICT (player_id, achievement_id) DO NOTHING
+      `,
+      [userId, row.id]
+    );
+
+    if (inserted.rowCount > 0) unlocked.push(formatAchievement(row));
+  }
+
+  return unlocked;
+}
+
+app.get("/achievements", requireAuth, async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const statsResult = await pool.query(
+      `SELECT matches_played, wins, kills, deaths FROM player_stats WHERE player_id = $1`,
+      [userId]
+    );
+    if (statsResult.rowCount === 0) {
+      return res.status(500).json({ error: "BROKEN_ACCOUNT_STATE" });
+    }
+
+    const countsResult = await pool.query(
+      `SELECT event, count FROM player_event_counts WHERE player_id = $1`,
+      [userId]
+    );
+
+    const values = { ...statsResult.rows[0] };
+    for (const row of countsResult.rows) values[row.event] = row.count;
+
+    const result = await pool.query(
+      `
+      SELECT
+        ad.key, ad.name, ad.description, ad.kind, ad.stat, ad.event,
+        ad.threshold, ad.reward, pa.unlocked_at, pa.claimed_at
+      FROM achievement_defs ad
+      LEFT JOIN player_achievements pa
+        ON pa.achievement_id = ad.id AND pa.player_id = $1
+      WHERE ad.is_active = true OR pa.player_id IS NOT NULL
+      ORDER BY ad.id
+      `,
+      [userId]
+    );
+
+    const achievements = result.rows.map(row => {
+      const source = row.kind === "stat" ? row.stat : row.event;
+      const unlocked = row.unlocked_at !== null;
+
+      return {
+        ...formatAchievement(row),
+        kind: row.kind,
+        source,
+        progress: Math.min(row.threshold, Number(values[source] || 0)),
+        threshold: row.threshold,
+        unlocked,
+        unlocked_at: row.unlocked_at,
+        claimed: row.claimed_at !== null,
+        claimable: unlocked && row.reward !== null && row.claimed_at === null
+      };
+    });
+
+    return res.json({
+      achievements,
+      unlocked_count: achievements.filter(a => a.unlocked).length,
+      claimable_count: achievements.filter(a => a.claimable).length
+    });
+
+  } catch (err) {
+    console.error("ACHIEVEMENTS ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+app.post("/achievements/:key/claim", requireAuth, rateLimit("economy"), idempotent("achievements/claim"), async (req, res) => {
+  const userId = req.userId;
+  const key = req.params.key;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const defResult = await client.query(
+      `SELECT id, reward FROM achievement_defs WHERE key = $1`,
+      [key]
+    );
+
+    if (defResult.rowCount === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "ACHIEVEMENT_NOT_FOUND" });
+    }
+
+    const achievement = defResult.rows[0];
+
+    // Lock unlock row
+    const unlockResult = await client.query(
+      `
+      SELECT claimed_at
+      FROM player_achievements
+      WHERE player_id = $1 AND achievement_id = $2
+      FOR UPDATE
+      `,
+      [userId, achievement.id]
+    );
+
+    if (unlockResult.rowCount === 0) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "ACHIEVEMENT_LOCKED" });
+    }
+
+    achievement.claimed_at = unlockResult.rows[0].claimed_at;
+
+    if (achievement.reward === null) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "NO_REWARD" });
+    }
+
+    if (achievement.claimed_at) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "ACHIEVEMENT_ALREADY_CLAIMED" });
+    }
+
+    if (!isValidReward(achievement.reward)) {
+      await client.query("ROLLBACK");
+      return res.status(500).json({ error: "INVALID_REWARD" });
+    }
+
+    await client.query(
+      `
+      UPDATE player_achievements
+      SET claimed_at = NOW()
+      WHERE player_id = $1 AND achievement_id = $2
+      `,
+      [userId, achievement.id]
+    );
+
+    const granted = await grantReward(
+      client,
+      userId,
+      achievement.reward,
+      WALLET_REASONS.ACHIEVEMENT_REWARD,
+      `achievement:${key}`
+    );
+
+    const balances = await loadWalletBalances(client, userId);
+
+    const response = {
+      ok: true,
+      reward: achievement.reward,
+      granted,
+      wallet: balances
+    };
+
+    await storeIdempotentResponse(client, res, response);
+    await client.query("COMMIT");
+
+    return res.json(response);
+
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error("ACHIEVEMENT CLAIM ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+
+
+
+
+
+
+
+/*
+=========================================================
+SEASON PASS
+=========================================================
+- seasons: start/end window; the active season is the one
+  whose window contains NOW() (not archived)
+- season_tiers: per tier the cumulative season xp needed
+  plus a free_reward and an optional premium_reward
+  (grantReward shape)
+- player_seasons: season xp + premium flag, created on the
+  first match of the season (/match-result adds the same xp
+  as the account)
+- GET /season: active season, player's tier and every tier
+  with claim state
+- POST /season/claim { tier }: grants the tier's free reward
+  and, for premium players, the premium reward (each once)
+- POST /season/premium: unlocks the premium track of the active
+  season for seasons.premium_price (charged from the wallets,
+  idempotent); tiers already claimed on the free track can then
+  be claimed again for their premium reward
+- Ended seasons are archived by a periodic sweep: player
+  rows move into player_season_archive, so a new season
+  starts clean
+*/
+const SEASON_ARCHIVE_INTERVAL_MS =
+  Number(process.env.SEASON_ARCHIVE_INTERVAL_MS) || 10 * 60 * 1000;
+
+const SEASON_TRACKS = ["free", "premium"];
+
+async function loadActiveSeason(db) {
+  const result = await db.query(
+    `
+    SELECT id, key, name, starts_at, ends_at, premium_price
+    FROM seasons
+    WHERE starts_at <= NOW() AND ends_at > NOW() AND archived_at IS NULL
+    ORDER BY starts_at DESC
+    LIMIT 1
+    `
+  );
+  return result.rows[0] || null;
+}
+
+async function loadSeasonTiers(db, seasonId) {
+  const result = await db.query(
+    `
+    SELECT tier, xp_required, free_reward, premium_reward
+    FROM season_tiers
+    WHERE season_id = $1
+    ORDER BY tier
+    `,
+    [seasonId]
+  );
+  return result.rows;
+}
+
+// Highest tier whose xp_required is met (0 = none yet)
+function seasonTierForXp(tiers, xp) {
+  let reached = 0;
+  for (const tier of tiers) {
+    if (Number(xp) >= tier.xp_required) reached = tier.tier;
+  }
+  return reached;
+}
+
+// Called inside the /match-result transaction; null without an active season
+async function addSeasonXp(client, userId, xp) {
+  const season = await loadActiveSeason(client);
+  if (!season) return null;
+
+  const result = await client.query(
+    `
+    INSERT INTO player_seasons (player_id, season_id, xp)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (player_id, season_id)
+    DO UPDATE SET xp = player_seasons.xp + EXCLUDED.xp
+    RETURNING xp
+    `,
+    [userId, season.id, xp]
+  );
+
+  const tiers = await loadSeasonTiers(client, season.id);
+  const seasonXp = Number(result.rows[0].xp);
+
+  return {
+    season_id: season.id,
+    xp: seasonXp,
+    tier: seasonTierForXp(tiers, seasonXp)
+  };
+}
+
+/*
+Moves player state of ended seasons into player_season_archive
+(final xp, tier, premium, claimed tiers) and marks the season
+archived. One transaction per season.
+*/
+async function archiveEndedSeasons() {
+  const ended = await pool.query(
+    `SELECT id FROM seasons WHERE ends_at <= NOW() AND archived_at IS NULL ORDER BY id`
+  );
+
+  for (const { id: seasonId } of ended.rows) {
+    const client = await pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const season = await client.query(
+        `SELECT archived_at FROM seasons WHERE id = $1 FOR UPDATE`,
+        [seasonId]
+      );
+      if (season.rows[0].archived_at) {
+        await client.query("ROLLBACK");
+        continue;
+      }
+
+      await client.query(
+        `
+        INSERT INTO player_season_archive (player_id, season_id, xp, tier, premium, claims)
+        SELECT
+          ps.player_id,
+          ps.season_id,
+          ps.xp,
+          COALESCE((
+            SELECT MAX(st.tier) FROM season_tiers st
+            WHERE st.season_id = ps.season_id AND st.xp_required <= ps.xp
+          ), 0),
+          ps.premium,
+          COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('tier', c.tier, 'track', c.track) ORDER BY c.tier, c.track)
+            FROM player_season_claims c
+            WHERE c.player_id = ps.player_id AND c.season_id = ps.season_id
+          ), '[]'::jsonb)
+        FROM player_seasons ps
+        WHERE ps.season_id = $1
+        ON CONFLICT (player_id, season_id) DO NOTHING
+        `,
+        [seasonId]
+      );
+
+      await client.query(`DELETE FROM player_season_claims WHERE season_id = $1`, [seasonId]);
+      await client.query(`DELETE FROM player_seasons WHERE season_id = $1`, [seasonId]);
+      await client.query(`UPDATE seasons SET archived_at = NOW() WHERE id = $1`, [seasonId]);
+
+      await client.query("COMMIT");
+
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+setInterval(() => {
+  archiveEndedSeasons()
+    .catch(err => console.error("SEASON ARCHIVE ERROR:", err));
+}, SEASON_ARCHIVE_INTERVAL_MS).unref();
+
+app.get("/season", requireAuth, async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const season = await loadActiveSeason(pool);
+
+    if (!season) {
+      return res.json({ season: null });
+    }
+
+    const tiers = await loadSeasonTiers(pool, season.id);
+
+    const playerResult = await pool.query(
+      `SELECT xp, premium FROM player_seasons WHERE player_id = $1 AND season_id = $2`,
+      [userId, season.id]
+    );
+    const playerSeason = playerResult.rows[0] || { xp: 0, premium: false };
+    const seasonXp = Number(playerSeason.xp);
+
+    const claimsResult = await pool.query(
+      `SELECT tier, track FROM player_season_claims WHERE player_id = $1 AND season_id = $2`,
+      [userId, season.id]
+    );
+    const claimed = new Set(claimsResult.rows.map(row => `${row.tier}:${row.track}`));
+
+    const currentTier = seasonTierForXp(tiers, seasonXp);
+    const nextTier = tiers.find(tier => tier.tier > currentTier) || null;
+
+    return res.json({
+      season: {
+        season_id: season.id,
+        key: season.key,
+        name: season.name,
+        starts_at: season.starts_at,
+        ends_at: season.ends_at
+      },
+      xp: seasonXp,
+      tier: currentTier,
+      xp_to_next_tier: nextTier ? nextTier.xp_required - seasonXp : null,
+      premium: playerSeason.premium,
+      premium_price: parsePrice(season.premium_price),
+      tiers: tiers.map(tier => ({
+        tier: tier.tier,
+        xp_required: tier.xp_required,
+        reached: tier.tier <= currentTier,
+        free: {
+          reward: tier.free_reward,
+          claimed: claimed.has(`${tier.tier}:free`)
+        },
+        premium: {
+          reward: tier.premium_reward,
+          claimed: claimed.has(`${tier.tier}:premium`)
+        }
+      }))
+    });
+
+  } catch (err) {
+    console.error("SEASON ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+app.post("/season/claim", requireAuth, rateLimit("economy"), idempotent("season/claim"), async (req, res) => {
+  const userId = req.userId;
+  const tierNumber = req.body?.tier;
+
+  if (!Number.isInteger(tierNumber) || tierNumber < 1) {
+    return res.status(400).json({ error: "INVALID_TIER" });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    /*
+    =========================================================
+    1) ACTIVE SEASON + TIER
+    =========================================================
+    */
+    const season = await loadActiveSeason(client);
+
+    if (!season) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "NO_ACTIVE_SEASON" });
+    }
+
+    const tierResult = await client.query(
+      `
+      SELECT tier, xp_required, free_reward, premium_reward
+      FROM season_tiers
+      WHERE season_id = $1 AND tier = $2
+      `,
+      [season.id, tierNumber]
+    );
+
+    if (tierResult.rowCount === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "TIER_NOT_FOUND" });
+    }
+
+    const tier = tierResult.rows[0];
+
+    /*
+    =========================================================
+    2) LOCK PLAYER SEASON ROW
+    =========================================================
+    */
+    const playerResult = await client.query(
+      `
+      SELECT xp, premium
+      FROM player_seasons
+      WHERE player_id = $1 AND season_id = $2
+      FOR UPDATE
+      `,
+      [userId, season.id]
+    );
+
+    const playerSeason = playerResult.rows[0];
+
+    if (!playerSeason || Number(playerSeason.xp) < tier.xp_required) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "TIER_NOT_REACHED" });
+    }
+
+    /*
+    =========================================================
+    3) GRANT UNCLAIMED TRACKS
+    =========================================================
+    */
+    const rewards = {
+      free: tier.free_reward,
+      premium: playerSeason.premium ? tier.premium_reward : null
+    };
+
+    const granted = {};
+
+    for (const track of SEASON_TRACKS) {
+      const reward = rewards[track];
+      if (!reward) continue;
+
+      if (!isValidReward(reward)) {
+        await client.query("ROLLBACK");
+        return res.status(500).json({ error: "INVALID_REWARD" });
+      }
+
+      const claim = await client.query(
+        `
+        INSERT INTO player_season_claims (player_id, season_id, tier, track)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (player_id, season_id, tier, track) DO NOTHING
+        `,
+        [userId, season.id, tier.tier, track]
+      );
+      if (claim.rowCount === 0) continue;
+
+      granted[track] = await grantReward(
+        client,
+        userId,
+        reward,
+        WALLET_REASONS.SEASON_REWARD,
+        `season:${season.id}:${tier.tier}:${track}`
+      );
+    }
+
+    if (Object.keys(granted).length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "TIER_ALREADY_CLAIMED" });
+    }
+
+    const balances = await loadWalletBalances(client, userId);
+
+    const response = {
+      ok: true,
+      season_id: season.id,
+      tier: tier.tier,
+      granted,
+      wallet: balances
+    };
+
+    await storeIdempotentResponse(client, res, response);
+    await client.query("COMMIT");
+
+    return res.json(response);
+
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error("SEASON CLAIM ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+app.post("/season/premium", requireAuth, rateLimit("economy"), idempotent("season/premium"), async (req, res) => {
+  const userId = req.userId;
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    /*
+    =========================================================
+    1) ACTIVE SEASON + PRICE
+    =========================================================
+    */
+    const season = await loadActiveSeason(client);
+
+    if (!season) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "NO_ACTIVE_SEASON" });
+    }
+
+    const price = parsePrice(season.premium_price);
+
+    if (!price) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "PREMIUM_NOT_FOR_SALE" });
+    }
+
+    /*
+    =========================================================
+    2) LOCK PLAYER SEASON ROW (created if missing)
+    =========================================================
+    */
+    await client.query(
+      `
+      INSERT INTO player_seasons (player_id, season_id)
+      VALUES ($1, $2)
+      ON CONFLICT (player_id, season_id) DO NOTHING
+      `,
+      [userId, season.id]
+    );
+
+    const playerResult = await client.query(
+      `
+      SELECT premium
+      FROM player_seasons
+      WHERE player_id = $1 AND season_id = $2
+      FOR UPDATE
+      `,
+      [userId, season.id]
+    );
+
+    if (playerResult.rows[0].premium) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "PREMIUM_ALREADY_OWNED" });
+    }
+
+    /*
+    =========================================================
+    3) LOCK WALLET ROWS (sorted by key to avoid deadlocks)
+    =========================================================
+    */
+    const wallets = [];
 
-    if (!refresh_token) {
-      return res.status(400).json({ error: "refresh_token required" });
-    }
+    for (const currencyKey of Object.keys(price).sort()) {
+      const wallet = await lockWallet(client, userId, currencyKey);
 
-    const { data, error } = await supabase.auth.refreshSession({
-      refresh_token
-    });
+      if (!wallet) {
+        await client.query("ROLLBACK");
+        return res.status(500).json({ error: "BROKEN_ACCOUNT_STATE" });
+      }
 
-    if (error) {
-      return res.status(401).json({ error: error.message });
+      if (wallet.balance < price[currencyKey]) {
+        await client.query("ROLLBACK");
+        return res.status(400).json(notEnoughFundsError(currencyKey));
+      }
+
+      wallets.push(wallet);
     }
 
-    res.json({
+    /*
+    =========================================================
+    4) CHARGE + UNLOCK
+    =========================================================
+    */
+    for (const wallet of wallets) {
+      await applyWalletChange(
+        client,
+        userId,
+        wallet,
+        -price[wallet.currencyKey],
+        WALLET_REASONS.SEASON_PREMIUM,
+        `season:${season.id}:premium`
+      );
+    }
+
+    await client.query(
+      `UPDATE player_seasons SET premium = true WHERE player_id = $1 AND season_id = $2`,
+      [userId, season.id]
+    );
+
+    const balances = await loadWalletBalances(client, userId);
+
+    const response = {
       ok: true,
-      access_token: data.session.access_token,
-      refresh_token: data.session.refresh_token,
-      expires_in: data.session.expires_in,
-      user: {
-        id: data.user.id,
-        email: data.user.email,
-        email_confirmed_at: data.user.email_confirmed_at
-      }
-    });
+      season_id: season.id,
+      premium: true,
+      price,
+      wallet: balances
+    };
+
+    await storeIdempotentResponse(client, res, response);
+    await client.query("COMMIT");
+
+    return res.json(response);
 
   } catch (err) {
-    console.error("REFRESH ERROR:", err);
-    res.status(500).json({ error: err.message });
+    await client.query("ROLLBACK");
+    console.error("SEASON PREMIUM ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
   }
 });
 
-/*
-=========================================================
-AUTH: REQUEST PASSWORD RESET
-=========================================================
-Sends email with redirect to Make.com reset page.
-*/
-app.post("/auth/request-password-reset", async (req, res) => {
-  try {
-    const { email } = req.body;
 
-    if (!email) {
-      return res.status(400).json({ error: "email required" });
-    }
 
-    const { error } = await supabase.auth.resetPasswordForEmail(email, {
-      redirectTo: "https://hook.eu2.make.com/a6q4mncxc59oqmqwad20urj27oo2lfva"
-    });
 
-    if (error) {
-      return res.status(400).json({ error: error.message });
-    }
 
-    res.json({ ok: true });
 
-  } catch (err) {
-    console.error("RESET REQUEST ERROR:", err);
-    res.status(500).json({ error: err.message });
-  }
-});
+
+
 
 /*
 =========================================================
-AUTH: SET NEW PASSWORD
+LEADERBOARD
 =========================================================
-Called from Make.com reset page.
-Uses access_token provided in email link.
+- Auth required
+- Query:
+  board: "global" (default) | "weekly"
+  sort: "mmr" (default) | "wins" | "kills"
+  limit: 1..100 (default 25)
+  cursor: next_cursor from the previous page
+  around_me: "true" -> window of `limit` rows centred on the caller
+- Weekly board reads player_weekly_stats for the current
+  UTC week (Monday start). Lifetime player_stats are untouched.
+- Weekly "mmr" ranks by MMR gained this week
+- Keyset pagination on (value DESC, player id ASC),
+  backed by the indexes in db/migrations/004_leaderboard.sql
+- Ranks are ordinal (ties broken by player id)
 */
-app.post("/auth/set-password", async (req, res) => {
-  console.log("SET PASSWORD BODY:", req.body);
+const CURRENT_WEEK_START_SQL = "date_trunc('week', NOW() AT TIME ZONE 'UTC')::date";
+const LEADERBOARD_DEFAULT_LIMIT = 25;
+const LEADERBOARD_MAX_LIMIT = 100;
+
+const LEADERBOARD_BOARDS = {
+  global: {
+    from: "players p JOIN player_stats s ON s.player_id = p.id",
+    where: "TRUE",
+    columns: { mmr: "p.mmr", wins: "s.wins", kills: "s.kills" },
+    // Tie-break id from the same table as the value, to match its index
+    ids: { mmr: "p.id", wins: "s.player_id", kills: "s.player_id" }
+  },
+  weekly: {
+    from: "player_weekly_stats s JOIN players p ON p.id = s.player_id",
+    where: `s.week_start = ${CURRENT_WEEK_START_SQL}`,
+    columns: { mmr: "s.mmr_gain", wins: "s.wins", kills: "s.kills" },
+    ids: { mmr: "s.player_id", wins: "s.player_id", kills: "s.player_id" }
+  }
+};
+
+// direction "after": rows ranked below (value, id); "ahead": rows ranked above
+async function queryLeaderboardRows(board, column, idColumn, { from, direction, limit }) {
+  const params = [];
+  let keyset = "TRUE";
+  let order = `${column} DESC, ${idColumn} ASC`;
+
+  if (from) {
+    params.push(from.value, from.id);
+
+    if (direction === "ahead") {
+      keyset = `(${column} > $1 OR (${column} = $1 AND ${idColumn} < $2))`;
+      order = `${column} ASC, ${idColumn} DESC`;
+    } else {
+      keyset = `(${column} < $1 OR (${column} = $1 AND ${idColumn} > $2))`;
+    }
+  }
+
+  params.push(limit);
+
+  const result = await pool.query(
+    `
+    SELECT p.id AS player_id, p.username, ${column} AS value
+    FROM ${board.from}
+    WHERE ${board.where} AND ${keyset}
+    ORDER BY ${order}
+    LIMIT $${params.length}
+    `,
+    params
+  );
+
+  return result.rows.map(row => ({
+    player_id: row.player_id,
+    username: row.username,
+    value: Number(row.value)
+  }));
+}
+
+async function queryLeaderboardPosition(board, column, idColumn, userId) {
+  const mine = await pool.query(
+    `
+    SELECT p.username, ${column} AS value
+    FROM ${board.from}
+    WHERE ${board.where} AND p.id = $1
+    `,
+    [userId]
+  );
+
+  if (mine.rowCount === 0) return null;
+
+  const value = Number(mine.rows[0].value);
+
+  const ahead = await pool.query(
+    `
+    SELECT COUNT(*) AS ahead
+    FROM ${board.from}
+    WHERE ${board.where}
+      AND (${column} > $1 OR (${column} = $1 AND ${idColumn} < $2))
+    `,
+    [value, userId]
+  );
+
+  return {
+    rank: Number(ahead.rows[0].ahead) + 1,
+    username: mine.rows[0].username,
+    value
+  };
+}
 
+app.get("/leaderboard", requireAuth, async (req, res) => {
   try {
-    const { access_token, refresh_token, new_password } = req.body;
+    const userId = req.userId;
+    const boardKey = req.query.board || "global";
+    const sortKey = req.query.sort || "mmr";
+    const aroundMe = req.query.around_me === "true";
 
-    if (!access_token || !refresh_token || !new_password) {
-      return res.status(400).json({
-        error: "access_token, refresh_token and new_password required"
-      });
+    /*
+    =========================================================
+    1) VALIDATE QUERY
+    =========================================================
+    */
+    const board = LEADERBOARD_BOARDS[boardKey];
+    if (!board) {
+      return res.status(400).json({ error: "INVALID_BOARD" });
     }
 
-    const supabaseUser = createClient(
-      process.env.SUPABASE_URL,
-      process.env.SUPABASE_ANON_KEY
-    );
+    const column = board.columns[sortKey];
+    if (!column) {
+      return res.status(400).json({ error: "INVALID_SORT" });
+    }
+    const idColumn = board.ids[sortKey];
 
-    // Establish session from recovery tokens
-    const { error: sessionError } = await supabaseUser.auth.setSession({
-      access_token,
-      refresh_token
-    });
+    const limit = parseLimit(req.query.limit, LEADERBOARD_DEFAULT_LIMIT, LEADERBOARD_MAX_LIMIT);
+    if (limit === null) {
+      return res.status(400).json({ error: "INVALID_LIMIT" });
+    }
 
-    if (sessionError) {
-      console.error("SESSION ERROR:", sessionError);
-      return res.status(400).json({ error: sessionError.message });
+    let cursor = null;
+    if (req.query.cursor !== undefined && !aroundMe) {
+      cursor = decodeCursor(req.query.cursor);
+
+      if (
+        !cursor ||
+        cursor.b !== boardKey ||
+        cursor.s !== sortKey ||
+        !Number.isFinite(cursor.v) ||
+        typeof cursor.id !== "string" ||
+        !uuidValidate(cursor.id) ||
+        !Number.isInteger(cursor.r)
+      ) {
+        return res.status(400).json({ error: "INVALID_CURSOR" });
+      }
     }
 
-    // Update password
-    const { error: updateError } = await supabaseUser.auth.updateUser({
-      password: new_password
-    });
+    /*
+    =========================================================
+    2) CALLER POSITION
+    =========================================================
+    */
+    const me = await queryLeaderboardPosition(board, column, idColumn, userId);
 
-    if (updateError) {
-      console.error("UPDATE ERROR:", updateError);
-      return res.status(400).json({ error: updateError.message });
+    /*
+    =========================================================
+    3) PAGE OR WINDOW
+    =========================================================
+    */
+    let entries = [];
+
+    if (aroundMe) {
+      if (me) {
+        const aheadRows = await queryLeaderboardRows(board, column, idColumn, {
+          from: { value: me.value, id: userId },
+          direction: "ahead",
+          limit: Math.floor(limit / 2)
+        });
+
+        const fromMeRows = await queryLeaderboardRows(board, column, idColumn, {
+          from: { value: me.value, id: userId },
+          direction: "after",
+          limit: limit - aheadRows.length - 1
+        });
+
+        const firstRank = me.rank - aheadRows.length;
+
+        entries = [
+          ...aheadRows.reverse(),
+          { player_id: userId, username: me.username, value: me.value },
+          ...fromMeRows
+        ].map((row, i) => ({ rank: firstRank + i, ...row }));
+      }
+    } else {
+      const rows = await queryLeaderboardRows(board, column, idColumn, {
+        from: cursor ? { value: cursor.v, id: cursor.id } : null,
+        direction: "after",
+        limit
+      });
+
+      const firstRank = cursor ? cursor.r + 1 : 1;
+      entries = rows.map((row, i) => ({ rank: firstRank + i, ...row }));
     }
 
-    res.json({ ok: true });
+    const last = entries[entries.length - 1];
+    const nextCursor = !aroundMe && last && entries.length === limit
+      ? encodeCursor({ b: boardKey, s: sortKey, v: last.value, id: last.player_id, r: last.rank })
+      : null;
+
+    /*
+    =========================================================
+    FINAL RESPONSE
+    =========================================================
+    */
+    return res.json({
+      board: boardKey,
+      sort: sortKey,
+      entries,
+      next_cursor: nextCursor,
+      me
+    });
 
   } catch (err) {
-    console.error("SET PASSWORD ERROR:", err);
-    res.status(500).json({ error: err.message });
+    console.error("LEADERBOARD ERROR:", err);
+    return res.status(500).json({ error: err.message });
   }
 });
 
 
+
+
+
+
+
+
 /*
 =========================================================
-MATCH CONFIG (unchanged)
+ADMIN API
 =========================================================
+- Mounted at /admin (express.Router)
+- requireAuth + requireAdmin: players.role must be 'admin'
+- Every mutation writes an admin_audit_log row naming the
+  acting admin, inside the same transaction
+- Item defs: list, read, create, update (incl. is_active),
+  delete (only when no player owns or sells it; otherwise
+  deactivate instead)
+- Players: lookup by username, full state (loadPlayerState),
+  grant/revoke currency, grant/revoke items, reset username,
+  suspend / ban / unban (see MODERATION)
+- GET /admin/audit-log: newest first, cursor pagination
 */
-app.get("/match-config", async (req, res) => {
+const adminRouter = express.Router();
+
+async function requireAdmin(req, res, next) {
   try {
-    const matchId = uuidv4();
+    const result = await pool.query(
+      `SELECT role FROM players WHERE id = $1`,
+      [req.userId]
+    );
+
+    if (result.rowCount === 0 || result.rows[0].role !== "admin") {
+      return res.status(403).json({ error: "ADMIN_REQUIRED" });
+    }
+
+    next();
 
-    res.json({
-      matchId,
-      npcs: [
-        { skill: 70, weapon: "rifle" },
-        { skill: 90, weapon: "sniper rifle" },
-        { skill: 50, weapon: "rifle" }
-      ],
-    });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    console.error("REQUIRE ADMIN ERROR:", err);
+    return res.status(500).json({ error: "SERVER_ERROR" });
   }
-});
+}
+
+adminRouter.use(requireAuth, requireAdmin);
+
+async function writeAuditLog(db, adminId, action, { playerId = null, details = {} } = {}) {
+  await db.query(
+    `
+    INSERT INTO admin_audit_log (admin_id, action, target_player_id, details)
+    VALUES ($1, $2, $3, $4)
+    `,
+    [adminId, action, playerId, JSON.stringify(details)]
+  );
+}
+
+const ITEM_DEF_COLUMNS = "id, key, category, base_props, equip_slots, is_active";
 
+/*
+Validates an item def body. partial: only present fields are
+checked (PATCH). Returns { error } or { fields }.
+*/
+function validateItemDefBody(body, { partial }) {
+  const fields = {};
 
+  if (!body || typeof body !== "object") {
+    return { error: "INVALID_INPUT" };
+  }
 
+  if (body.key !== undefined || !partial) {
+    if (typeof body.key !== "string" || !/^[a-z0-9_]{3,64}$/.test(body.key)) {
+      return { error: "INVALID_KEY" };
+    }
+    fields.key = body.key;
+  }
 
+  if (body.category !== undefined || !partial) {
+    if (typeof body.category !== "string" || body.category.length === 0) {
+      return { error: "INVALID_CATEGORY" };
+    }
+    fields.category = body.category;
+  }
 
+  if (body.base_props !== undefined || !partial) {
+    const props = body.base_props;
 
+    if (!props || typeof props !== "object" || Array.isArray(props)) {
+      return { error: "INVALID_BASE_PROPS" };
+    }
 
+    if ((props.price !== undefined || props.price_cash !== undefined) && !itemPrice(props)) {
+      return { error: "INVALID_PRICE" };
+    }
 
+    fields.base_props = JSON.stringify(props);
+  }
 
+  if (body.equip_slots !== undefined) {
+    const slots = body.equip_slots;
 
+    if (!Array.isArray(slots) || slots.some(slot => !EQUIPMENT_SLOTS.includes(slot))) {
+      return { error: "INVALID_SLOT" };
+    }
 
+    fields.equip_slots = slots;
+  }
 
+  if (body.is_active !== undefined) {
+    if (typeof body.is_active !== "boolean") {
+      return { error: "INVALID_INPUT" };
+    }
+    fields.is_active = body.is_active;
+  }
 
+  if (Object.keys(fields).length === 0) {
+    return { error: "INVALID_INPUT" };
+  }
 
+  return { fields };
+}
 
+function parseItemDefId(value) {
+  const itemDefId = /^[0-9]+$/.test(value) ? Number(value) : null;
+  return isSerialId(itemDefId) ? itemDefId : null;
+}
 
+// Loads the target player for /admin/players/:id routes
+async function loadAdminTarget(db, req, res) {
+  const playerId = req.params.id;
 
+  if (!uuidValidate(playerId)) {
+    res.status(400).json({ error: "INVALID_PLAYER_ID" });
+    return null;
+  }
 
+  const result = await db.query(
+    `SELECT id, username FROM players WHERE id = $1`,
+    [playerId]
+  );
 
+  if (result.rowCount === 0) {
+    res.status(404).json({ error: "PLAYER_NOT_FOUND" });
+    return null;
+  }
 
+  return result.rows[0];
+}
 
 /*
 =========================================================
-MATCH RESULT (MVP)
+ADMIN: ITEM DEFS
 =========================================================
-- Auth required (JWT)
-- Ignores client-sent playerId (uses req.userId)
-- Body: { kills: int, placement: int }
-- win is derived: placement === 1
-- deaths rule: ONLY on loss (NPC died)
-- reward formula (locked):
-  reward = (win?200:0) + (kills*10) + max(0, 101-placement)
-- Transaction: update stats + add cash
 */
-app.post("/match-result", requireAuth, async (req, res) => {
-  const userId = req.userId;
-
-  // Parse and validate as integers (reject floats/strings)
-  const kills = req.body?.kills;
-  const placement = req.body?.placement;
-
-  if (!Number.isInteger(kills) || !Number.isInteger(placement)) {
-    return res.status(400).json({ error: "INVALID_INPUT" });
-  }
+adminRouter.get("/item-defs", async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${ITEM_DEF_COLUMNS} FROM item_defs ORDER BY id`
+    );
 
-  if (kills < 0 || kills > 99) {
-    return res.status(400).json({ error: "INVALID_KILLS" });
-  }
+    return res.json({ item_defs: result.rows });
 
-  if (placement < 1 || placement > 100) {
-    return res.status(400).json({ error: "INVALID_PLACEMENT" });
+  } catch (err) {
+    console.error("ADMIN ITEM DEFS ERROR:", err);
+    return res.status(500).json({ error: err.message });
   }
+});
 
-  const win = placement === 1;
-
-  const rewardCash =
-    (win ? 200 : 0) +
-    (kills * 10) +
-    Math.max(0, 101 - placement);
-
-  const client = await pool.connect();
-
+adminRouter.get("/item-defs/:id", async (req, res) => {
   try {
-    await client.query("BEGIN");
+    const itemDefId = parseItemDefId(req.params.id);
 
-    // Lock stats row
-    const statsLock = await client.query(
-      `SELECT 1 FROM player_stats WHERE player_id = $1 FOR UPDATE`,
-      [userId]
-    );
-    if (statsLock.rowCount === 0) {
-      await client.query("ROLLBACK");
-      return res.status(500).json({ error: "BROKEN_ACCOUNT_STATE" });
+    if (itemDefId === null) {
+      return res.status(400).json({ error: "INVALID_ITEM_ID" });
     }
 
-    // Lock cash wallet row
-    const currencyRow = await client.query(
-      `SELECT id FROM currencies WHERE key = 'cash' LIMIT 1`
+    const result = await pool.query(
+      `SELECT ${ITEM_DEF_COLUMNS} FROM item_defs WHERE id = $1`,
+      [itemDefId]
     );
-    if (currencyRow.rowCount === 0) {
-      throw new Error("CASH_CURRENCY_NOT_FOUND");
-    }
-    const currencyId = currencyRow.rows[0].id;
 
-    const walletRow = await client.query(
-      `
-      SELECT balance
-      FROM player_wallets
-      WHERE player_id = $1 AND currency_id = $2
-      FOR UPDATE
-      `,
-      [userId, currencyId]
-    );
-    if (walletRow.rowCount === 0) {
-      await client.query("ROLLBACK");
-      return res.status(500).json({ error: "BROKEN_ACCOUNT_STATE" });
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "ITEM_NOT_FOUND" });
     }
 
-    const currentBalance = Number(walletRow.rows[0].balance);
-    const newBalance = currentBalance + rewardCash;
+    return res.json({ item_def: result.rows[0] });
 
-    // Update stats (deaths ONLY on loss)
-    await client.query(
-      `
-      UPDATE player_stats
-      SET
-        matches_played = matches_played + 1,
-        wins = wins + $1,
-        kills = kills + $2,
-        deaths = deaths + $3
-      WHERE player_id = $4
-      `,
-      [
-        win ? 1 : 0,
-        kills,
-        win ? 0 : 1,
-        userId
-      ]
-    );
+  } catch (err) {
+    console.error("ADMIN ITEM DEF ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+adminRouter.post("/item-defs", async (req, res) => {
+  const { error, fields } = validateItemDefBody(req.body, { partial: false });
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
 
-    // Add cash
-    await client.query(
+    const result = await client.query(
       `
-      UPDATE player_wallets
-      SET balance = $1
-      WHERE player_id = $2 AND currency_id = $3
+      INSERT INTO item_defs (key, category, base_props, equip_slots, is_active)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING ${ITEM_DEF_COLUMNS}
       `,
-      [newBalance, userId, currencyId]
+      [
+        fields.key,
+        fields.category,
+        fields.base_props,
+        fields.equip_slots || [],
+        fields.is_active ?? true
+      ]
     );
 
-    await client.query("COMMIT");
+    const itemDef = result.rows[0];
 
-    return res.json({
-      ok: true,
-      reward_cash: rewardCash,
-      wallet: { cash: newBalance }
+    await writeAuditLog(client, req.userId, "item_def.create", {
+      details: { item_def_id: itemDef.id, fields: req.body }
     });
 
+    await client.query("COMMIT");
+
+    return res.status(201).json({ ok: true, item_def: itemDef });
+
   } catch (err) {
     await client.query("ROLLBACK");
-    console.error("MATCH RESULT ERROR:", err);
+
+    if (err.code === "23505") {
+      return res.status(409).json({ error: "ITEM_KEY_TAKEN" });
+    }
+
+    console.error("ADMIN ITEM DEF CREATE ERROR:", err);
     return res.status(500).json({ error: err.message });
   } finally {
     client.release();
   }
 });
 
+adminRouter.patch("/item-defs/:id", async (req, res) => {
+  const itemDefId = parseItemDefId(req.params.id);
+
+  if (itemDefId === null) {
+    return res.status(400).json({ error: "INVALID_ITEM_ID" });
+  }
+
+  const { error, fields } = validateItemDefBody(req.body, { partial: true });
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const client = await pool.connect();
 
+  try {
+    await client.query("BEGIN");
 
+    // Column names come from validateItemDefBody, never from the body
+    const columns = Object.keys(fields);
+    const assignments = columns.map((column, i) => `${column} = $${i + 2}`);
 
+    const result = await client.query(
+      `
+      UPDATE item_defs
+      SET ${assignments.join(", ")}
+      WHERE id = $1
+      RETURNING ${ITEM_DEF_COLUMNS}
+      `,
+      [itemDefId, ...columns.map(column => fields[column])]
+    );
 
+    if (result.rowCount === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "ITEM_NOT_FOUND" });
+    }
 
+    await writeAuditLog(client, req.userId, "item_def.update", {
+      details: { item_def_id: itemDefId, fields: req.body }
+    });
 
+    await client.query("COMMIT");
 
+    return res.json({ ok: true, item_def: result.rows[0] });
 
+  } catch (err) {
+    await client.query("ROLLBACK");
 
+    if (err.code === "23505") {
+      return res.status(409).json({ error: "ITEM_KEY_TAKEN" });
+    }
 
+    console.error("ADMIN ITEM DEF UPDATE ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
 
+adminRouter.delete("/item-defs/:id", async (req, res) => {
+  const itemDefId = parseItemDefId(req.params.id);
 
+  if (itemDefId === null) {
+    return res.status(400).json({ error: "INVALID_ITEM_ID" });
+  }
 
+  const client = await pool.connect();
 
-/*
-=========================================================
-PROFILE (FAT PROFILE ENDPOINT)
-Returns complete player state required by client:
-- player identity
-- stats
-- wallet
-- npc attributes
-- equipment
-- inventory
-- store catalog
-=========================================================
-*/
-app.get("/profile", requireAuth, async (req, res) => {
   try {
-    const userId = req.userId;
+    await client.query("BEGIN");
 
-    /*
-    =========================================================
-    1) PLAYER CORE
-    =========================================================
-    */
-    const playerResult = await pool.query(
-      "SELECT id, username, mmr FROM players WHERE id = $1",
-      [userId]
+    const result = await client.query(
+      `DELETE FROM item_defs WHERE id = $1 RETURNING key`,
+      [itemDefId]
     );
 
-    if (playerResult.rowCount === 0) {
-      return res.status(404).json({ error: "Player not found" });
+    if (result.rowCount === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "ITEM_NOT_FOUND" });
     }
 
-    const player = playerResult.rows[0];
+    await writeAuditLog(client, req.userId, "item_def.delete", {
+      details: { item_def_id: itemDefId, key: result.rows[0].key }
+    });
 
-    /*
-    =========================================================
-    2) PLAYER STATS
-    =========================================================
-    */
-    const statsResult = await pool.query(
-      "SELECT matches_played, wins, kills, deaths FROM player_stats WHERE player_id = $1",
-      [userId]
-    );
+    await client.query("COMMIT");
 
-    if (statsResult.rowCount === 0) {
-      return res.status(500).json({ error: "BROKEN_ACCOUNT_STATE" });
+    return res.json({ ok: true, item_def_id: itemDefId });
+
+  } catch (err) {
+    await client.query("ROLLBACK");
+
+    // Still referenced by player_items / bundles: deactivate instead
+    if (err.code === "23503") {
+      return res.status(409).json({ error: "ITEM_DEF_IN_USE" });
     }
 
-    const stats = statsResult.rows[0];
+    console.error("ADMIN ITEM DEF DELETE ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
 
-    /*
-    =========================================================
-    3) WALLET (SOFT CURRENCY: CASH)
-    =========================================================
-    */
-    const walletResult = await pool.query(
-      `
-      SELECT pw.balance
-      FROM player_wallets pw
-      JOIN currencies c ON c.id = pw.currency_id
-      WHERE pw.player_id = $1 AND c.key = 'cash'
-      `,
-      [userId]
-    );
+/*
+=========================================================
+ADMIN: PLAYERS
+=========================================================
+*/
+adminRouter.get("/players", async (req, res) => {
+  try {
+    const username = req.query.username;
 
-    if (walletResult.rowCount === 0) {
-      return res.status(500).json({ error: "BROKEN_ACCOUNT_STATE" });
+    if (typeof username !== "string" || username.length === 0) {
+      return res.status(400).json({ error: "INVALID_USERNAME" });
     }
 
-    const wallet = walletResult.rows[0];
-
-    /*
-    =========================================================
-    4) NPC ATTRIBUTES
-    =========================================================
-    */
-    const npcResult = await pool.query(
-      "SELECT strength, perception, agility FROM player_npcs WHERE player_id = $1",
-      [userId]
-    );
+    const player = await findPlayerByUsername(pool, username);
 
-    if (npcResult.rowCount === 0) {
-      return res.status(500).json({ error: "BROKEN_ACCOUNT_STATE" });
+    if (!player) {
+      return res.status(404).json({ error: "PLAYER_NOT_FOUND" });
     }
 
-    const npc = npcResult.rows[0];
+    return res.json({ player });
 
-    /*
-    =========================================================
-    5) EQUIPMENT (PRIMARY WEAPON ONLY FOR MVP)
-    =========================================================
-    */
-    const equipmentResult = await pool.query(
-      `
-      SELECT pe.player_item_id, idf.key AS item_def_key
-      FROM player_equipment pe
-      LEFT JOIN player_items pi ON pi.id = pe.player_item_id
-      LEFT JOIN item_defs idf ON idf.id = pi.item_def_id
-      WHERE pe.player_id = $1 AND pe.slot = 'weapon_primary'
-      `,
-      [userId]
-    );
+  } catch (err) {
+    console.error("ADMIN PLAYER LOOKUP ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
 
-    if (equipmentResult.rowCount === 0) {
-      return res.status(500).json({ error: "BROKEN_ACCOUNT_STATE" });
+adminRouter.get("/players/:id", async (req, res) => {
+  try {
+    if (!uuidValidate(req.params.id)) {
+      return res.status(400).json({ error: "INVALID_PLAYER_ID" });
     }
 
-    const equipmentRow = equipmentResult.rows[0];
-
-    /*
-    =========================================================
-    6) INVENTORY (OWNED ITEMS)
-    =========================================================
-    */
-    const inventoryResult = await pool.query(
-      `
-      SELECT
-        pi.id AS player_item_id,
-        idf.id AS item_def_id,
-        idf.key AS item_def_key,
-		pi.level,
-		pi.instance_props,
-        idf.base_props
-      FROM player_items pi
-      JOIN item_defs idf ON idf.id = pi.item_def_id
-      WHERE pi.player_id = $1
-      `,
-      [userId]
-    );
+    const state = await loadPlayerState(pool, req.params.id);
 
-    const inventory = inventoryResult.rows.map(row => ({
-      player_item_id: row.player_item_id,
-      item_def_id: row.item_def_id,
-      item_def_key: row.item_def_key,
-	  level: row.level,
-	  instance_props: row.instance_props || null,
-      base_props: row.base_props
-    }));
+    if (!state) {
+      return res.status(404).json({ error: "PLAYER_NOT_FOUND" });
+    }
 
-    /*
-    =========================================================
-    7) STORE CATALOG (READ-ONLY)
-    =========================================================
-    */
-    const storeResult = await pool.query(
-      `
-      SELECT
-        id,
-        key,
-        base_props
-      FROM item_defs
-      WHERE is_active = true
-        AND category = 'weapon'
-      ORDER BY id
-      `
+    const meta = await pool.query(
+      `SELECT role, last_login_at FROM players WHERE id = $1`,
+      [req.params.id]
     );
 
-    const store = storeResult.rows.map(row => ({
-      item_def_id: row.id,
-      item_def_key: row.key,
-      name: row.base_props?.name || row.key,
-      icon_key: row.base_props?.icon_key || null,
-      price_cash: row.base_props?.price_cash || 0
-    }));
+    const moderation = await loadActiveSanction(pool, req.params.id);
 
-    /*
-    =========================================================
-    FINAL RESPONSE
-    =========================================================
-    */
-    return res.json({
-      player: {
-        id: player.id,
-        username: player.username,
-        mmr: player.mmr
-      },
-      stats,
-      wallet: {
-        cash: Number(wallet.balance)
-      },
-      npc: {
-        strength: npc.strength,
-        perception: npc.perception,
-        agility: npc.agility
-      },
-      equipment: {
-        weapon_primary: {
-          player_item_id: equipmentRow.player_item_id || null,
-          item_def_key: equipmentRow.item_def_key || null
-        }
-      },
-      inventory,
-      store
-    });
+    return res.json({ ...state, admin: { ...meta.rows[0], moderation } });
 
   } catch (err) {
-    console.error("PROFILE ERROR:", err);
-    res.status(500).json({ error: err.message });
+    console.error("ADMIN PLAYER STATE ERROR:", err);
+    return res.status(500).json({ error: err.message });
   }
 });
 
+// Body: { currency, amount (> 0), note? }; revoke fails below zero
+function adminCurrencyRoute(direction) {
+  return async (req, res) => {
+    const { currency, amount, note } = req.body || {};
 
+    if (typeof currency !== "string" || !Number.isInteger(amount) || amount <= 0) {
+      return res.status(400).json({ error: "INVALID_INPUT" });
+    }
 
+    const client = await pool.connect();
 
+    try {
+      await client.query("BEGIN");
 
+      const target = await loadAdminTarget(client, req, res);
+      if (!target) {
+        await client.query("ROLLBACK");
+        return;
+      }
 
+      const wallet = await lockWallet(client, target.id, currency);
 
+      if (!wallet) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: "INVALID_CURRENCY" });
+      }
 
+      if (direction === "revoke" && wallet.balance < amount) {
+        await client.query("ROLLBACK");
+        return res.status(400).json(notEnoughFundsError(currency));
+      }
 
+      const balance = await applyWalletChange(
+        client,
+        target.id,
+        wallet,
+        direction === "grant" ? amount : -amount,
+        direction === "grant" ? WALLET_REASONS.ADMIN_GRANT : WALLET_REASONS.ADMIN_REVOKE,
+        `admin:${req.userId}`
+      );
 
+      await writeAuditLog(client, req.userId, `currency.${direction}`, {
+        playerId: target.id,
+        details: { currency, amount, note: note || null }
+      });
 
+      await client.query("COMMIT");
 
-/*
-=========================================================
-STORE: BUY ITEM
-=========================================================
-- Auth required
-- Allows multi-instance weapons
-- Deducts cash
-- Inserts new player_items row
-- Fully transactional
-*/
-app.post("/store/buy", requireAuth, async (req, res) => {
-  const userId = req.userId;
-  const { item_def_id } = req.body;
+      return res.json({ ok: true, currency, balance });
 
-  if (!item_def_id || !Number.isInteger(item_def_id)) {
-    return res.status(400).json({ error: "INVALID_ITEM_ID" });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error("ADMIN CURRENCY ERROR:", err);
+      return res.status(500).json({ error: err.message });
+    } finally {
+      client.release();
+    }
+  };
+}
+
+adminRouter.post("/players/:id/currency/grant", adminCurrencyRoute("grant"));
+adminRouter.post("/players/:id/currency/revoke", adminCurrencyRoute("revoke"));
+
+// Body: { item_def_key, quantity?, note? }
+adminRouter.post("/players/:id/items/grant", async (req, res) => {
+  const { item_def_key, quantity, note } = req.body || {};
+  const reward = { item_def_key, quantity };
+
+  if (!isValidReward(reward)) {
+    return res.status(400).json({ error: "INVALID_INPUT" });
   }
 
   const client = await pool.connect();
@@ -891,348 +6370,481 @@ app.post("/store/buy", requireAuth, async (req, res) => {
   try {
     await client.query("BEGIN");
 
-    /*
-    =========================================================
-    1) VALIDATE ITEM
-    =========================================================
-    */
-    const itemResult = await client.query(
-      `
-      SELECT id, category, is_active, base_props
-      FROM item_defs
-      WHERE id = $1
-      `,
-      [item_def_id]
-    );
-
-    if (itemResult.rowCount === 0) {
+    const target = await loadAdminTarget(client, req, res);
+    if (!target) {
       await client.query("ROLLBACK");
-      return res.status(404).json({ error: "ITEM_NOT_FOUND" });
+      return;
     }
 
-    const item = itemResult.rows[0];
+    const granted = await grantReward(
+      client,
+      target.id,
+      reward,
+      WALLET_REASONS.ADMIN_GRANT,
+      `admin:${req.userId}`
+    );
 
-    if (!item.is_active) {
-      await client.query("ROLLBACK");
-      return res.status(400).json({ error: "ITEM_INACTIVE" });
-    }
+    await writeAuditLog(client, req.userId, "item.grant", {
+      playerId: target.id,
+      details: { ...granted, note: note || null }
+    });
 
-    if (item.category !== "weapon") {
-      await client.query("ROLLBACK");
-      return res.status(400).json({ error: "INVALID_ITEM" });
-    }
+    await client.query("COMMIT");
 
-    const price = item.base_props?.price_cash;
+    return res.json({ ok: true, granted });
 
-    if (!Number.isInteger(price) || price < 0) {
-      await client.query("ROLLBACK");
-      return res.status(500).json({ error: "INVALID_PRICE" });
+  } catch (err) {
+    await client.query("ROLLBACK");
+
+    if (err.message === "REWARD_ITEM_NOT_FOUND") {
+      return res.status(404).json({ error: "ITEM_NOT_FOUND" });
     }
 
-    /*
-    =========================================================
-    2) LOCK WALLET ROW
-    =========================================================
-    */
-    const walletCurrency = await client.query(
-      `SELECT id FROM currencies WHERE key = 'cash' LIMIT 1`
-    );
+    console.error("ADMIN ITEM GRANT ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
 
-    if (walletCurrency.rowCount === 0) {
-      throw new Error("CASH_CURRENCY_NOT_FOUND");
-    }
+// Body: { player_item_id, note? }; unequips the item first
+adminRouter.post("/players/:id/items/revoke", async (req, res) => {
+  const { player_item_id, note } = req.body || {};
+
+  if (typeof player_item_id !== "string" || !uuidValidate(player_item_id)) {
+    return res.status(400).json({ error: "INVALID_ITEM" });
+  }
 
-    const currencyId = walletCurrency.rows[0].id;
+  const client = await pool.connect();
 
-    const walletResult = await client.query(
-      `
-      SELECT balance
-      FROM player_wallets
-      WHERE player_id = $1 AND currency_id = $2
-      FOR UPDATE
-      `,
-      [userId, currencyId]
-    );
+  try {
+    await client.query("BEGIN");
 
-    if (walletResult.rowCount === 0) {
+    const target = await loadAdminTarget(client, req, res);
+    if (!target) {
       await client.query("ROLLBACK");
-      return res.status(500).json({ error: "BROKEN_ACCOUNT_STATE" });
+      return;
     }
 
-    const currentBalance = Number(walletResult.rows[0].balance);
+    const item = await client.query(
+      `
+      SELECT pi.id, pi.level, idf.key AS item_def_key
+      FROM player_items pi
+      JOIN item_defs idf ON idf.id = pi.item_def_id
+      WHERE pi.id = $1 AND pi.player_id = $2
+      FOR UPDATE OF pi
+      `,
+      [player_item_id, target.id]
+    );
 
-    if (currentBalance < price) {
+    if (item.rowCount === 0) {
       await client.query("ROLLBACK");
-      return res.status(400).json({ error: "NOT_ENOUGH_CASH" });
+      return res.status(404).json({ error: "ITEM_NOT_OWNED" });
     }
 
-    /*
-    =========================================================
-    3) DEDUCT CASH
-    =========================================================
-    */
-    const newBalance = currentBalance - price;
-
     await client.query(
       `
-      UPDATE player_wallets
-      SET balance = $1
-      WHERE player_id = $2 AND currency_id = $3
+      UPDATE player_equipment
+      SET player_item_id = NULL
+      WHERE player_id = $1 AND player_item_id = $2
       `,
-      [newBalance, userId, currencyId]
+      [target.id, player_item_id]
     );
 
-    /*
-    =========================================================
-    4) INSERT OWNED ITEM (MULTI-INSTANCE ALLOWED)
-    =========================================================
-    */
-    const insertItem = await client.query(
-      `
-      INSERT INTO player_items (player_id, item_def_id)
-      VALUES ($1, $2)
-      RETURNING id
-      `,
-      [userId, item_def_id]
+    await client.query(
+      `DELETE FROM player_items WHERE id = $1`,
+      [player_item_id]
     );
 
-    const newPlayerItemId = insertItem.rows[0].id;
+    await writeAuditLog(client, req.userId, "item.revoke", {
+      playerId: target.id,
+      details: {
+        player_item_id,
+        item_def_key: item.rows[0].item_def_key,
+        level: item.rows[0].level,
+        note: note || null
+      }
+    });
 
     await client.query("COMMIT");
 
-    /*
-    =========================================================
-    SUCCESS RESPONSE
-    =========================================================
-    */
-    return res.json({
-      ok: true,
-      wallet: {
-        cash: newBalance
-      },
-      new_item: {
-        player_item_id: newPlayerItemId,
-        item_def_id: item_def_id,
-        item_def_key: item.key
-      }
-    });
+    return res.json({ ok: true, player_item_id });
 
   } catch (err) {
     await client.query("ROLLBACK");
-    console.error("STORE BUY ERROR:", err);
+    console.error("ADMIN ITEM REVOKE ERROR:", err);
     return res.status(500).json({ error: err.message });
   } finally {
     client.release();
   }
 });
 
+// Replaces the username with a fresh random one
+adminRouter.post("/players/:id/reset-username", async (req, res) => {
+  const client = await pool.connect();
 
+  try {
+    await client.query("BEGIN");
 
+    const target = await loadAdminTarget(client, req, res);
+    if (!target) {
+      await client.query("ROLLBACK");
+      return;
+    }
 
+    let username;
+    let attempts = 0;
 
+    while (true) {
+      username = generateRandomUsername();
 
+      if (!await findPlayerByUsername(client, username)) break;
 
+      attempts++;
+      if (attempts > 10) {
+        throw new Error("USERNAME_GENERATION_FAILED");
+      }
+    }
 
+    await client.query(
+      `UPDATE players SET username = $1 WHERE id = $2`,
+      [username, target.id]
+    );
 
+    await writeAuditLog(client, req.userId, "player.reset_username", {
+      playerId: target.id,
+      details: { old_username: target.username, new_username: username, note: req.body?.note || null }
+    });
 
+    await client.query("COMMIT");
 
+    return res.json({ ok: true, username });
 
-
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error("ADMIN RESET USERNAME ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
 
 /*
 =========================================================
-EQUIPMENT: EQUIP ITEM
+ADMIN: MODERATION
 =========================================================
-- Auth required
-- MVP: only weapon_primary slot
-- Validates ownership
-- Validates item category = weapon
+- suspend: { minutes, reason } -> status suspended until NOW() + minutes
+- ban: { reason } -> permanent
+- unban: lifts any sanction
+A new sanction replaces the previous one.
 */
-app.post("/equipment/equip", requireAuth, async (req, res) => {
-  const userId = req.userId;
-  const { slot, player_item_id } = req.body;
+function adminSanctionRoute(status) {
+  return async (req, res) => {
+    const { minutes, reason } = req.body || {};
 
-  /*
-  =========================================================
-  1) BASIC VALIDATION
-  =========================================================
-  */
-  if (!slot || typeof slot !== "string") {
-    return res.status(400).json({ error: "INVALID_SLOT" });
-  }
+    if (typeof reason !== "string" || reason.trim().length === 0) {
+      return res.status(400).json({ error: "INVALID_REASON" });
+    }
 
-  if (!player_item_id || typeof player_item_id !== "string") {
-    return res.status(400).json({ error: "INVALID_ITEM" });
-  }
+    if (status === "suspended" && (!Number.isInteger(minutes) || minutes <= 0)) {
+      return res.status(400).json({ error: "INVALID_DURATION" });
+    }
 
-  if (slot !== "weapon_primary") {
-    return res.status(400).json({ error: "INVALID_SLOT" });
-  }
+    const client = await pool.connect();
 
-  try {
+    try {
+      await client.query("BEGIN");
 
-    /*
-    =========================================================
-    2) VALIDATE OWNERSHIP + LOAD ITEM DEF
-    =========================================================
-    */
-    const itemResult = await pool.query(
-      `
-      SELECT 
-        pi.id AS player_item_id,
-        idf.category
-      FROM player_items pi
-      JOIN item_defs idf ON idf.id = pi.item_def_id
-      WHERE pi.id = $1 AND pi.player_id = $2
-      `,
-      [player_item_id, userId]
-    );
+      const target = await loadAdminTarget(client, req, res);
+      if (!target) {
+        await client.query("ROLLBACK");
+        return;
+      }
 
-    if (itemResult.rowCount === 0) {
-      return res.status(400).json({ error: "ITEM_NOT_OWNED" });
+      const result = await client.query(
+        `
+        INSERT INTO player_moderation (player_id, status, reason, expires_at, created_by)
+        VALUES (
+          $1, $2, $3,
+          CASE WHEN $4::int IS NULL THEN NULL ELSE NOW() + make_interval(mins => $4::int) END,
+          $5
+        )
+        ON CONFLICT (player_id) DO UPDATE SET
+          status = EXCLUDED.status,
+          reason = EXCLUDED.reason,
+          expires_at = EXCLUDED.expires_at,
+          created_by = EXCLUDED.created_by,
+          created_at = NOW()
+        RETURNING status, reason, expires_at
+        `,
+        [target.id, status, reason.trim(), status === "suspended" ? minutes : null, req.userId]
+      );
+
+      const sanction = result.rows[0];
+
+      await writeAuditLog(client, req.userId, status === "banned" ? "player.ban" : "player.suspend", {
+        playerId: target.id,
+        details: sanction
+      });
+
+      await client.query("COMMIT");
+
+      return res.json({ ok: true, moderation: sanction });
+
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error("ADMIN SANCTION ERROR:", err);
+      return res.status(500).json({ error: err.message });
+    } finally {
+      client.release();
     }
+  };
+}
 
-    const item = itemResult.rows[0];
+adminRouter.post("/players/:id/suspend", adminSanctionRoute("suspended"));
+adminRouter.post("/players/:id/ban", adminSanctionRoute("banned"));
 
-    if (item.category !== "weapon") {
-      return res.status(400).json({ error: "INVALID_ITEM" });
+adminRouter.post("/players/:id/unban", async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const target = await loadAdminTarget(client, req, res);
+    if (!target) {
+      await client.query("ROLLBACK");
+      return;
     }
 
-    /*
-    =========================================================
-    3) UPDATE EQUIPMENT SLOT
-    =========================================================
-    */
-    const updateResult = await pool.query(
-      `
-      UPDATE player_equipment
-      SET player_item_id = $1
-      WHERE player_id = $2 AND slot = $3
-      `,
-      [player_item_id, userId, slot]
+    const result = await client.query(
+      `DELETE FROM player_moderation WHERE player_id = $1 RETURNING status, reason, expires_at`,
+      [target.id]
     );
 
-    if (updateResult.rowCount === 0) {
-      return res.status(500).json({ error: "BROKEN_ACCOUNT_STATE" });
+    if (result.rowCount === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "NOT_SANCTIONED" });
     }
 
-    /*
-    =========================================================
-    SUCCESS
-    =========================================================
-    */
+    await writeAuditLog(client, req.userId, "player.unban", {
+      playerId: target.id,
+      details: { previous: result.rows[0], note: req.body?.note || null }
+    });
+
+    await client.query("COMMIT");
+
     return res.json({ ok: true });
 
   } catch (err) {
-    console.error("EQUIP ERROR:", err);
+    await client.query("ROLLBACK");
+    console.error("ADMIN UNBAN ERROR:", err);
     return res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
   }
 });
 
+/*
+=========================================================
+ADMIN: MATCH REVIEWS
+=========================================================
+- GET /admin/match-reviews?status=pending|cleared|confirmed
+- POST /admin/match-reviews/:id/resolve { decision, note? }
+  - "clear": result was legit; pays out withheld_cash
+  - "confirm": cheating confirmed; withheld cash stays unpaid
+    (sanction separately via /suspend or /ban)
+*/
+const MATCH_REVIEW_STATUSES = ["pending", "cleared", "confirmed"];
+
+adminRouter.get("/match-reviews", async (req, res) => {
+  try {
+    const status = req.query.status || "pending";
+
+    if (!MATCH_REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({ error: "INVALID_STATUS" });
+    }
+
+    const limit = parseLimit(req.query.limit, 50, 200);
+
+    if (limit === null) {
+      return res.status(400).json({ error: "INVALID_LIMIT" });
+    }
+
+    const result = await pool.query(
+      `
+      SELECT
+        r.match_id, r.player_id, p.username, r.flags, r.withheld_cash,
+        r.status, r.created_at, r.reviewed_by, r.reviewed_at,
+        pm.kills, pm.placement, pm.duration_seconds
+      FROM match_reviews r
+      JOIN players p ON p.id = r.player_id
+      JOIN player_matches pm ON pm.id = r.match_id
+      WHERE r.status = $1
+      ORDER BY r.created_at
+      LIMIT $2
+      `,
+      [status, limit]
+    );
 
+    return res.json({
+      reviews: result.rows.map(row => ({ ...row, withheld_cash: Number(row.withheld_cash) }))
+    });
 
+  } catch (err) {
+    console.error("ADMIN MATCH REVIEWS ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
 
+adminRouter.post("/match-reviews/:id/resolve", async (req, res) => {
+  const matchId = req.params.id;
+  const { decision, note } = req.body || {};
 
+  if (!uuidValidate(matchId)) {
+    return res.status(400).json({ error: "INVALID_MATCH_ID" });
+  }
 
+  if (decision !== "clear" && decision !== "confirm") {
+    return res.status(400).json({ error: "INVALID_DECISION" });
+  }
 
+  const client = await pool.connect();
 
+  try {
+    await client.query("BEGIN");
 
+    const review = await client.query(
+      `
+      SELECT player_id, status, withheld_cash
+      FROM match_reviews
+      WHERE match_id = $1
+      FOR UPDATE
+      `,
+      [matchId]
+    );
 
+    if (review.rowCount === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "REVIEW_NOT_FOUND" });
+    }
 
+    const { player_id: playerId, status, withheld_cash } = review.rows[0];
+    const withheldCash = Number(withheld_cash);
 
+    if (status !== "pending") {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "REVIEW_ALREADY_RESOLVED" });
+    }
 
+    let paidCash = 0;
 
+    if (decision === "clear" && withheldCash > 0) {
+      const wallet = await lockWallet(client, playerId, "cash");
 
+      if (!wallet) {
+        await client.query("ROLLBACK");
+        return res.status(500).json({ error: "BROKEN_ACCOUNT_STATE" });
+      }
 
+      await applyWalletChange(client, playerId, wallet, withheldCash, WALLET_REASONS.MATCH_REWARD, matchId);
+      await client.query(
+        `UPDATE player_matches SET reward_cash = reward_cash + $1 WHERE id = $2`,
+        [withheldCash, matchId]
+      );
+      paidCash = withheldCash;
+    }
 
+    await client.query(
+      `
+      UPDATE match_reviews
+      SET status = $1, reviewed_by = $2, reviewed_at = NOW()
+      WHERE match_id = $3
+      `,
+      [decision === "clear" ? "cleared" : "confirmed", req.userId, matchId]
+    );
 
+    await writeAuditLog(client, req.userId, `match_review.${decision}`, {
+      playerId,
+      details: { match_id: matchId, paid_cash: paidCash, note: note || null }
+    });
 
+    await client.query("COMMIT");
 
+    return res.json({ ok: true, paid_cash: paidCash });
 
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error("ADMIN MATCH REVIEW RESOLVE ERROR:", err);
+    return res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
 
 /*
 =========================================================
-PLAYER: UPDATE USERNAME
+ADMIN: AUDIT LOG
 =========================================================
-- Validate length and format
-- Check current username
-- Check uniqueness
-- Update
+- Query: player_id?, limit (default 50, max 200), cursor
 */
-app.post("/profile/update-username", requireAuth, async (req, res) => {
+adminRouter.get("/audit-log", async (req, res) => {
   try {
-    const userId = req.userId;
-    const { username } = req.body;
-
-    /*
-    =========================================================
-    1) BASIC VALIDATION
-    =========================================================
-    */
-    if (!username || username.length < 3 || username.length > 20) {
-      return res.status(400).json({ error: "INVALID_LENGTH" });
-    }
+    const limit = parseLimit(req.query.limit, 50, 200);
 
-    const valid = /^[a-zA-Z0-9_]+$/.test(username);
-    if (!valid) {
-      return res.status(400).json({ error: "INVALID_FORMAT" });
+    if (limit === null) {
+      return res.status(400).json({ error: "INVALID_LIMIT" });
     }
 
-    /*
-    =========================================================
-    2) CHECK CURRENT USERNAME
-    =========================================================
-    */
-    const current = await pool.query(
-      "SELECT username FROM players WHERE id = $1",
-      [userId]
-    );
+    const playerId = req.query.player_id;
 
-    if (current.rowCount === 0) {
-      return res.status(500).json({ error: "BROKEN_ACCOUNT_STATE" });
+    if (playerId !== undefined && !uuidValidate(playerId)) {
+      return res.status(400).json({ error: "INVALID_PLAYER_ID" });
     }
 
-    if (current.rows[0].username === username) {
-      return res.status(400).json({ error: "SAME_USERNAME" });
-    }
+    let cursor = null;
 
-    /*
-    =========================================================
-    3) CHECK UNIQUENESS
-    =========================================================
-    */
-    const existing = await pool.query(
-      "SELECT id FROM players WHERE username = $1 AND id <> $2",
-      [username, userId]
-    );
+    if (req.query.cursor !== undefined) {
+      cursor = decodeCursor(req.query.cursor);
 
-    if (existing.rowCount > 0) {
-      return res.status(400).json({ error: "USERNAME_TAKEN" });
+      if (!cursor || typeof cursor.id !== "string" || !/^[0-9]+$/.test(cursor.id)) {
+        return res.status(400).json({ error: "INVALID_CURSOR" });
+      }
     }
 
-    /*
-    =========================================================
-    4) UPDATE
-    =========================================================
-    */
-    await pool.query(
-      "UPDATE players SET username = $1 WHERE id = $2",
-      [username, userId]
+    const result = await pool.query(
+      `
+      SELECT
+        l.id, l.admin_id, a.username AS admin_username, l.action,
+        l.target_player_id, l.details, l.created_at
+      FROM admin_audit_log l
+      LEFT JOIN players a ON a.id = l.admin_id
+      WHERE ($1::uuid IS NULL OR l.target_player_id = $1)
+        AND ($2::bigint IS NULL OR l.id < $2::bigint)
+      ORDER BY l.id DESC
+      LIMIT $3
+      `,
+      [playerId || null, cursor ? cursor.id : null, limit]
     );
 
-    return res.json({ ok: true });
-
-  } catch (err) {
-    console.error("UPDATE USERNAME ERROR:", err);
+    const entries = result.rows;
+    const last = entries[entries.length - 1];
+    const nextCursor = last && entries.length === limit
+      ? encodeCursor({ id: last.id })
+      : null;
 
-    if (err.code === "23505") {
-      return res.status(400).json({ error: "USERNAME_TAKEN" });
-    }
+    return res.json({
+      entries,
+      next_cursor: nextCursor
+    });
 
-    return res.status(500).json({ error: "SERVER_ERROR" });
+  } catch (err) {
+    console.error("ADMIN AUDIT LOG ERROR:", err);
+    return res.status(500).json({ error: err.message });
   }
 });
 
+app.use("/admin", adminRouter);
+
 
 
 
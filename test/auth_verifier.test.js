@@ -0,0 +1,272 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+
+const {
+  AuthError,
+  createLocalJwtVerifier,
+  withRemoteFallback,
+  withClaimsCache
+} = require("../lib/auth_verifier");
+
+const SECRET = "test-secret";
+const ISSUER = "https://example.supabase.co/auth/v1";
+const USER_ID = "6f1c2a9e-3b4d-4e5f-8a7b-1c2d3e4f5a6b";
+
+function base64url(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+function claims(overrides = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return { sub: USER_ID, aud: "authenticated", iss: ISSUER, iat: now, exp: now + 3600, ...overrides };
+}
+
+function signHs256(payload, secret = SECRET) {
+  const signingInput = `${base64url({ alg: "HS256", typ: "JWT" })}.${base64url(payload)}`;
+  const signature = crypto.createHmac("sha256", secret).update(signingInput).digest("base64url");
+  return `${signingInput}.${signature}`;
+}
+
+function signEs256(payload, privateKey, kid) {
+  const signingInput = `${base64url({ alg: "ES256", typ: "JWT", kid })}.${base64url(payload)}`;
+  const signature = crypto
+    .sign("sha256", Buffer.from(signingInput), { key: privateKey, dsaEncoding: "ieee-p1363" })
+    .toString("base64url");
+  return `${signingInput}.${signature}`;
+}
+
+function signRs256(payload, privateKey, kid) {
+  const signingInput = `${base64url({ alg: "RS256", typ: "JWT", kid })}.${base64url(payload)}`;
+  const signature = crypto.sign("RSA-SHA256", Buffer.from(signingInput), privateKey).toString("base64url");
+  return `${signingInput}.${signature}`;
+}
+
+function hsVerifier(options = {}) {
+  return createLocalJwtVerifier({ secret: SECRET, issuer: ISSUER, ...options });
+}
+
+async function assertAuthError(promise, code) {
+  await assert.rejects(promise, err => err instanceof AuthError && err.code === code);
+}
+
+// Serves { keys } on a local port; returns { url, requests, close }
+async function startJwksServer(keys) {
+  const state = { requests: 0 };
+  const server = http.createServer((req, res) => {
+    state.requests++;
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify({ keys }));
+  });
+
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/jwks`,
+    get requests() { return state.requests; },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+test("HS256: a valid token yields the user id and claims", async () => {
+  const result = await hsVerifier().verify(signHs256(claims()));
+
+  assert.equal(result.userId, USER_ID);
+  assert.equal(result.claims.iss, ISSUER);
+});
+
+test("HS256: wrong secret is TOKEN_INVALID", async () => {
+  await assertAuthError(hsVerifier().verify(signHs256(claims(), "other-secret")), "TOKEN_INVALID");
+});
+
+test("HS256 without a secret is VERIFIER_UNAVAILABLE", async () => {
+  const verifier = createLocalJwtVerifier({ jwksUrl: null, issuer: ISSUER });
+  await assertAuthError(verifier.verify(signHs256(claims())), "VERIFIER_UNAVAILABLE");
+});
+
+test("malformed tokens are TOKEN_MALFORMED, including non-object JSON parts", async () => {
+  const verifier = hsVerifier();
+
+  for (const token of ["", "a.b", "not-json.e30.x", "bnVsbA.e30.x", "e30.bnVsbA.x", "MQ.e30.x", "W10.e30.x"]) {
+    await assertAuthError(verifier.verify(token), "TOKEN_MALFORMED");
+  }
+});
+
+test("unsupported alg is TOKEN_INVALID", async () => {
+  const token = `${base64url({ alg: "none" })}.${base64url(claims())}.`;
+  await assertAuthError(hsVerifier().verify(token), "TOKEN_INVALID");
+});
+
+test("exp in the past is TOKEN_EXPIRED, within the clock skew it passes", async () => {
+  const now = Math.floor(Date.now() / 1000);
+
+  await assertAuthError(hsVerifier().verify(signHs256(claims({ exp: now - 120 }))), "TOKEN_EXPIRED");
+  await assertAuthError(hsVerifier().verify(signHs256(claims({ exp: undefined }))), "TOKEN_EXPIRED");
+
+  const result = await hsVerifier({ clockSkewSeconds: 30 }).verify(signHs256(claims({ exp: now - 10 })));
+  assert.equal(result.userId, USER_ID);
+});
+
+test("a clock skew of 0 is honoured", async () => {
+  const now = Math.floor(Date.now() / 1000);
+  const verifier = hsVerifier({ clockSkewSeconds: 0 });
+
+  await assertAuthError(verifier.verify(signHs256(claims({ exp: now - 1 }))), "TOKEN_EXPIRED");
+  await assertAuthError(verifier.verify(signHs256(claims({ nbf: now + 5 }))), "TOKEN_INVALID");
+});
+
+test("nbf in the future is TOKEN_INVALID", async () => {
+  const now = Math.floor(Date.now() / 1000);
+  await assertAuthError(hsVerifier().verify(signHs256(claims({ nbf: now + 600 }))), "TOKEN_INVALID");
+});
+
+test("aud and iss mismatches are TOKEN_INVALID", async () => {
+  await assertAuthError(hsVerifier().verify(signHs256(claims({ aud: "anon" }))), "TOKEN_INVALID");
+  await assertAuthError(hsVerifier().verify(signHs256(claims({ iss: "https://evil.example" }))), "TOKEN_INVALID");
+
+  const result = await hsVerifier().verify(signHs256(claims({ aud: ["other", "authenticated"] })));
+  assert.equal(result.userId, USER_ID);
+});
+
+test("a subject that is not a uuid is TOKEN_INVALID", async () => {
+  await assertAuthError(hsVerifier().verify(signHs256(claims({ sub: "service" }))), "TOKEN_INVALID");
+});
+
+test("JWKS: ES256 and RS256 tokens verify with the published keys", async () => {
+  const ec = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+  const rsa = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  const jwks = await startJwksServer([
+    { ...ec.publicKey.export({ format: "jwk" }), kid: "ec-1", alg: "ES256" },
+    { ...rsa.publicKey.export({ format: "jwk" }), kid: "rsa-1", alg: "RS256" }
+  ]);
+
+  try {
+    const verifier = createLocalJwtVerifier({ jwksUrl: jwks.url, issuer: ISSUER });
+
+    assert.equal((await verifier.verify(signEs256(claims(), ec.privateKey, "ec-1"))).userId, USER_ID);
+    assert.equal((await verifier.verify(signRs256(claims(), rsa.privateKey, "rsa-1"))).userId, USER_ID);
+
+    // Signed by another key under a published kid
+    const other = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+    await assertAuthError(verifier.verify(signEs256(claims(), other.privateKey, "ec-1")), "TOKEN_INVALID");
+
+    // Keys are cached between verifications
+    assert.equal(jwks.requests, 1);
+  } finally {
+    await jwks.close();
+  }
+});
+
+test("JWKS: an unknown kid is TOKEN_INVALID, not VERIFIER_UNAVAILABLE", async () => {
+  const ec = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+  const jwks = await startJwksServer([
+    { ...ec.publicKey.export({ format: "jwk" }), kid: "ec-1", alg: "ES256" }
+  ]);
+
+  try {
+    const verifier = createLocalJwtVerifier({ jwksUrl: jwks.url, issuer: ISSUER });
+    await assertAuthError(verifier.verify(signEs256(claims(), ec.privateKey, "rotated-away")), "TOKEN_INVALID");
+  } finally {
+    await jwks.close();
+  }
+});
+
+test("JWKS: an unreachable endpoint is VERIFIER_UNAVAILABLE", async () => {
+  const ec = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+  const jwks = await startJwksServer([]);
+  const url = jwks.url;
+  await jwks.close();
+
+  const verifier = createLocalJwtVerifier({ jwksUrl: url, issuer: ISSUER });
+  await assertAuthError(verifier.verify(signEs256(claims(), ec.privateKey, "ec-1")), "VERIFIER_UNAVAILABLE");
+});
+
+test("claims cache: hits skip the verifier until the ttl expires", async () => {
+  let calls = 0;
+  const inner = {
+    async verify() {
+      calls++;
+      return { userId: USER_ID, claims: claims() };
+    }
+  };
+  const verifier = withClaimsCache(inner, 50);
+
+  await verifier.verify("token-a");
+  await verifier.verify("token-a");
+  assert.equal(calls, 1);
+
+  await verifier.verify("token-b");
+  assert.equal(calls, 2);
+
+  await new Promise(resolve => setTimeout(resolve, 80));
+  await verifier.verify("token-a");
+  assert.equal(calls, 3);
+});
+
+test("claims cache: entries never outlive the token's exp", async () => {
+  let calls = 0;
+  const inner = {
+    async verify() {
+      calls++;
+      return { userId: USER_ID, claims: claims({ exp: Math.floor(Date.now() / 1000) - 1 }) };
+    }
+  };
+  const verifier = withClaimsCache(inner, 60 * 1000);
+
+  await verifier.verify("token");
+  await verifier.verify("token");
+  assert.equal(calls, 2);
+});
+
+test("claims cache: failures are not cached", async () => {
+  let calls = 0;
+  const verifier = withClaimsCache({
+    async verify() {
+      calls++;
+      throw new AuthError("TOKEN_INVALID");
+    }
+  });
+
+  await assertAuthError(verifier.verify("token"), "TOKEN_INVALID");
+  await assertAuthError(verifier.verify("token"), "TOKEN_INVALID");
+  assert.equal(calls, 2);
+});
+
+test("claims cache: the oldest entry is dropped when full", async () => {
+  const seen = [];
+  const verifier = withClaimsCache({
+    async verify(token) {
+      seen.push(token);
+      return { userId: USER_ID, claims: claims() };
+    }
+  }, 60 * 1000, 2);
+
+  await verifier.verify("a");
+  await verifier.verify("b");
+  await verifier.verify("c");
+  await verifier.verify("b");
+  await verifier.verify("a");
+
+  assert.deepEqual(seen, ["a", "b", "c", "a"]);
+});
+
+test("remote fallback: used only when local verification is unavailable", async () => {
+  const remoteCalls = [];
+  const remote = {
+    async verify(token) {
+      remoteCalls.push(token);
+      return { userId: USER_ID, claims: { sub: USER_ID } };
+    }
+  };
+
+  const noSecret = withRemoteFallback(createLocalJwtVerifier({ issuer: ISSUER }), remote);
+  const token = signHs256(claims());
+  assert.equal((await noSecret.verify(token)).userId, USER_ID);
+  assert.deepEqual(remoteCalls, [token]);
+
+  const withSecret = withRemoteFallback(hsVerifier(), remote);
+  await assertAuthError(withSecret.verify(signHs256(claims(), "other-secret")), "TOKEN_INVALID");
+  await assertAuthError(withSecret.verify(signHs256(claims({ exp: 1 }))), "TOKEN_EXPIRED");
+  assert.equal(remoteCalls.length, 1);
+});
@@ -0,0 +1,165 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  MMR_MIN,
+  MATCH_MAX_PLACEMENT,
+  MMR_DEFAULTS,
+  MMR_ALGORITHMS,
+  mmrOptionsFromEnv,
+  createMmrRating
+} = require("../lib/mmr");
+
+const ALGORITHMS = Object.keys(MMR_ALGORITHMS);
+
+test("every algorithm: first place gains, last place loses on an even field", () => {
+  for (const algorithm of ALGORITHMS) {
+    const { computeMmrChange } = createMmrRating({ algorithm });
+
+    const first = computeMmrChange({ mmr: 1000, fieldRating: 1000, placement: 1, kills: 0 });
+    const last = computeMmrChange({ mmr: 1000, fieldRating: 1000, placement: MATCH_MAX_PLACEMENT, kills: 0 });
+
+    assert.equal(first.delta, MMR_DEFAULTS.kFactor / 2, algorithm);
+    assert.equal(last.delta, -MMR_DEFAULTS.kFactor / 2, algorithm);
+    assert.equal(first.after, first.before + first.delta, algorithm);
+  }
+});
+
+test("every algorithm: rating is conserved across all placements on an even field", () => {
+  for (const algorithm of ALGORITHMS) {
+    const { matchScore } = createMmrRating({ algorithm });
+    let total = 0;
+
+    for (let placement = 1; placement <= MATCH_MAX_PLACEMENT; placement++) {
+      total += MMR_ALGORITHMS[algorithm]({
+        mmr: 1000,
+        fieldRating: 1000,
+        score: matchScore(placement, 0),
+        kFactor: 32
+      });
+    }
+
+    assert.ok(Math.abs(total) < 1e-9, `${algorithm}: ${total}`);
+  }
+});
+
+test("elo: the player's gain is the field's loss", () => {
+  for (const [mmr, fieldRating, score] of [[1000, 1200, 0.7], [1500, 900, 0.2], [800, 800, 1]]) {
+    const player = MMR_ALGORITHMS.elo({ mmr, fieldRating, score, kFactor: 32 });
+    const field = MMR_ALGORITHMS.elo({ mmr: fieldRating, fieldRating: mmr, score: 1 - score, kFactor: 32 });
+
+    assert.ok(Math.abs(player + field) < 1e-9);
+  }
+});
+
+test("elo: beating a stronger field pays more than beating a weaker one", () => {
+  const { computeMmrChange } = createMmrRating({ algorithm: "elo" });
+
+  const strong = computeMmrChange({ mmr: 1000, fieldRating: 1400, placement: 1, kills: 0 });
+  const weak = computeMmrChange({ mmr: 1000, fieldRating: 600, placement: 1, kills: 0 });
+
+  assert.ok(strong.delta > weak.delta);
+  assert.ok(weak.delta >= 0);
+});
+
+test("linear: change is weighted by field strength", () => {
+  const { computeMmrChange } = createMmrRating({ algorithm: "linear" });
+
+  const even = computeMmrChange({ mmr: 1000, fieldRating: 1000, placement: 1, kills: 0 });
+  const strong = computeMmrChange({ mmr: 1000, fieldRating: 2000, placement: 1, kills: 0 });
+
+  assert.equal(strong.delta, even.delta * 2);
+});
+
+test("every algorithm: change scales with the K-factor", () => {
+  for (const algorithm of ALGORITHMS) {
+    for (const kFactor of [0, 16, 32, 64]) {
+      const { computeMmrChange } = createMmrRating({ algorithm, kFactor });
+      const change = computeMmrChange({ mmr: 1000, fieldRating: 1000, placement: 1, kills: 0 });
+
+      assert.equal(change.delta, kFactor / 2, `${algorithm} k=${kFactor}`);
+    }
+  }
+});
+
+test("missing field rating is treated as an even field", () => {
+  const { computeMmrChange } = createMmrRating();
+
+  assert.deepEqual(
+    computeMmrChange({ mmr: 1000, fieldRating: null, placement: 1, kills: 0 }),
+    computeMmrChange({ mmr: 1000, fieldRating: 1000, placement: 1, kills: 0 })
+  );
+});
+
+test("match score: edge placements and the kill bonus are clamped to [0, 1]", () => {
+  const { matchScore } = createMmrRating({ killWeight: 0.02 });
+
+  assert.equal(matchScore(1, 0), 1);
+  assert.equal(matchScore(MATCH_MAX_PLACEMENT, 0), 0);
+  assert.equal(matchScore(1, 50), 1);
+  assert.equal(matchScore(MATCH_MAX_PLACEMENT, 10), 0.2);
+});
+
+test("match score: placement is scored against the match's field size", () => {
+  const { matchScore, computeMmrChange } = createMmrRating({ killWeight: 0 });
+
+  assert.equal(matchScore(1, 0, 5), 1);
+  assert.equal(matchScore(3, 0, 5), 0.5);
+  assert.equal(matchScore(5, 0, 5), 0);
+  assert.equal(matchScore(1, 0, 1), 1);
+
+  const last = computeMmrChange({ mmr: 1000, fieldRating: 1000, placement: 5, kills: 0, fieldSize: 5 });
+  assert.equal(last.delta, -MMR_DEFAULTS.kFactor / 2);
+});
+
+test("mmr never drops below the floor", () => {
+  for (const algorithm of ALGORITHMS) {
+    const { computeMmrChange } = createMmrRating({ algorithm, kFactor: 64 });
+    const change = computeMmrChange({ mmr: 5, fieldRating: 5, placement: MATCH_MAX_PLACEMENT, kills: 0 });
+
+    assert.equal(change.after, MMR_MIN, algorithm);
+    assert.equal(change.delta, MMR_MIN - 5, algorithm);
+  }
+});
+
+test("field rating averages the NPC ratings", () => {
+  const { computeFieldRating, npcSkillToRating, ratingToNpcSkill } = createMmrRating();
+
+  assert.equal(computeFieldRating([]), null);
+  assert.equal(computeFieldRating([{ skill: 10 }, { skill: 30 }]), npcSkillToRating(20));
+  assert.equal(ratingToNpcSkill(npcSkillToRating(42)), 42);
+});
+
+test("unknown algorithm throws", () => {
+  assert.throws(() => createMmrRating({ algorithm: "glicko" }), /Unknown MMR_ALGORITHM: glicko/);
+});
+
+test("env: invalid numbers fall back to the defaults", (t) => {
+  t.mock.method(console, "warn", () => {});
+
+  const options = mmrOptionsFromEnv({
+    MMR_KILL_WEIGHT: "lots",
+    MMR_K_FACTOR: "-5",
+    MMR_NPC_RATING_PER_SKILL: "0"
+  });
+
+  assert.equal(options.killWeight, MMR_DEFAULTS.killWeight);
+  assert.equal(options.kFactor, MMR_DEFAULTS.kFactor);
+  assert.equal(options.npcRatingPerSkill, MMR_DEFAULTS.npcRatingPerSkill);
+  assert.equal(console.warn.mock.callCount(), 3);
+});
+
+test("env: valid numbers are used, including a zero kill weight", () => {
+  const options = mmrOptionsFromEnv({
+    MMR_ALGORITHM: "linear",
+    MMR_KILL_WEIGHT: "0",
+    MMR_K_FACTOR: "24"
+  });
+
+  assert.deepEqual(options, {
+    ...MMR_DEFAULTS,
+    algorithm: "linear",
+    killWeight: 0,
+    kFactor: 24
+  });
+});
@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { MATCH_MAX_PLACEMENT } = require("../lib/mmr");
+const { scalePlacement, isTopN, placementRewardCash } = require("../lib/placement");
+
+test("first and last place map to the ends of the 100-player scale", () => {
+  for (const fieldSize of [2, 4, 7, MATCH_MAX_PLACEMENT]) {
+    assert.equal(scalePlacement(1, fieldSize), 1, `field ${fieldSize}`);
+    assert.equal(scalePlacement(fieldSize, fieldSize), MATCH_MAX_PLACEMENT, `field ${fieldSize}`);
+  }
+
+  assert.equal(scalePlacement(4, 7), 51);
+  assert.equal(scalePlacement(1, 1), 1);
+});
+
+test("last place gets no top-N credit in a small field", () => {
+  for (const fieldSize of [2, 4, 7]) {
+    assert.equal(isTopN(fieldSize, fieldSize, 10), false, `field ${fieldSize}`);
+    assert.equal(isTopN(1, fieldSize, 10), true, `field ${fieldSize}`);
+  }
+
+  // 7 players: only the winner is in the top 10%
+  assert.deepEqual(
+    [1, 2, 3, 4, 5, 6, 7].map(placement => isTopN(placement, 7, 10)),
+    [true, false, false, false, false, false, false]
+  );
+});
+
+test("placement reward pays 100 for first and 1 for last", () => {
+  for (const fieldSize of [2, 4, 7, MATCH_MAX_PLACEMENT]) {
+    assert.equal(placementRewardCash(1, fieldSize), 100, `field ${fieldSize}`);
+    assert.equal(placementRewardCash(fieldSize, fieldSize), 1, `field ${fieldSize}`);
+  }
+
+  assert.equal(placementRewardCash(4, 7), 50);
+});
+
+test("a full field keeps the original 101 - placement reward", () => {
+  for (let placement = 1; placement <= MATCH_MAX_PLACEMENT; placement++) {
+    assert.equal(placementRewardCash(placement, MATCH_MAX_PLACEMENT), 101 - placement);
+  }
+});